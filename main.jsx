@@ -1,694 +1,6233 @@
-const { useState, useEffect, useRef } = React;
+const { useState, useEffect, useRef, useContext, useMemo } = React;
 const { createRoot } = ReactDOM;
 
 // Configurable constants
 const DEFAULT_DELTA_T = 500; // 0.5 seconds (in ms)
 const MAX_PLOT_DURATION = 300000; // 5 minutes in ms
 const MEAN_WINDOW = 10000; // 10 seconds for advanced mean calculation
+const STABILITY_WINDOW = 2000; // 2 seconds of raw readings to judge stability
+const STABILITY_MAX_STDDEV = 100; // max standard deviation (raw counts) to be considered settled
+const STABILITY_MAX_DRIFT = 50; // max drift (raw counts per second) to be considered settled
+const OUTLIER_THRESHOLD = 2; // residuals beyond this many standard deviations are flagged
+const STORAGE_PREFIX = 'scaleui.'; // prefix for localStorage keys
+const MAX_HISTORY_ENTRIES = 200; // calibration history entries kept in the browser
+const TELEMETRY_BUFFER_SIZE = 3600; // samples kept per signal (30 minutes at DEFAULT_DELTA_T)
+const TELEMETRY_TRANSPORT = 'sse'; // 'sse', 'websocket' or 'polling'; push transports fall back to polling
+const TELEMETRY_EVENTS_PATH = '/api/events'; // Server-Sent Events stream with 'status' and 'raw' events
+const TELEMETRY_WS_PATH = '/ws'; // WebSocket endpoint sending { type, data } messages
+const PUSH_RETRY_INTERVAL = 30000; // retry the push transport every 30 seconds while polling
+const REQUEST_TIMEOUT = 3000; // abort device requests after 3 seconds
+const MAX_BACKOFF_DELAY = 10000; // polling backs off exponentially up to 10 seconds
+const DEGRADED_AFTER = 2000; // no successful update for 2 seconds: connection degraded
+const OFFLINE_AFTER = 10000; // no successful update for 10 seconds: device offline
+const OFFLINE_FAILURE_COUNT = 3; // consecutive failed requests before the device is considered offline
+const MAX_RECORDING_SAMPLES = 20000; // samples kept in a recording session (~5.5 hours at 1 second)
+const RECORDING_SAVE_INTERVAL = 10000; // persist the recording every 10 seconds
+const LAST_READINGS_SAVE_INTERVAL = 5000; // last known readings are persisted at most every 5 seconds for offline use
+const SERVICE_WORKER_PATH = './sw.js'; // caches the UI shell for offline use
+const MANIFEST_PATH = './manifest.json'; // web app manifest making the UI installable
+const RECORDING_PLOT_POINTS = 500; // recordings are downsampled to this many points for plotting
+const BATTERY_SMOOTHING = 30000; // time constant of the battery voltage moving average (ms)
+const BATTERY_LOG_INTERVAL = 60000; // one long-term battery sample per minute
+const BATTERY_LOG_SIZE = 10080; // one week of long-term battery samples
+const BATTERY_RATE_WINDOW = 6 * 3600000; // discharge rate is estimated over the last 6 hours
+
+// Voltage to state-of-charge curves, [voltage, percent] by descending voltage
+const BATTERY_PRESETS = {
+  lipo: {
+    label: 'LiPo (1S)',
+    curve: [[4.2, 100], [4.11, 90], [4.02, 80], [3.95, 70], [3.87, 60], [3.84, 50], [3.8, 40], [3.77, 30], [3.73, 20], [3.69, 10], [3.61, 5], [3.27, 0]],
+  },
+  liion: {
+    label: 'Li-ion (18650)',
+    curve: [[4.2, 100], [4.06, 90], [3.98, 80], [3.92, 70], [3.87, 60], [3.82, 50], [3.79, 40], [3.77, 30], [3.74, 20], [3.68, 10], [3.45, 5], [3.0, 0]],
+  },
+  alkaline: {
+    label: 'Alkaline (2x AA)',
+    curve: [[3.2, 100], [2.9, 80], [2.7, 60], [2.55, 40], [2.4, 20], [2.2, 10], [1.8, 0]],
+  },
+};
+
+const NODES_DISCOVERY_PATH = '/api/nodes'; // gateway endpoint listing ESP-NOW nodes as [{ id, name }]
+const DASHBOARD_INTERVAL = 2000; // the multi-scale dashboard polls every node every 2 seconds
+
+const SIMULATOR_LATENCY = 40; // average simulated request latency (ms)
+const SIMULATOR_CAPACITY = 5000; // simulated load cell capacity (g)
+const SIMULATOR_SETTLING_TIME = 0.5; // time constant of the simulated load response (s)
+const SIMULATOR_RING_PERIOD = 0.6; // period of the simulated pan oscillation after a load step (s)
+const SIMULATOR_LOADS = [0, 100, 200, 500, 1000, 2000]; // quick load buttons of the simulator panel (g)
+const SIMULATOR_TEMPERATURE_PERIOD = 3600000; // the simulated temperature cycles 20 ± 8 °C once per hour
+const SIMULATOR_NODES = [{ id: 'sim-1', name: 'Simulated Scale 1' }, { id: 'sim-2', name: 'Simulated Scale 2' }];
+
+const DEFAULT_SIMULATOR_PARAMS = {
+  noise: 20, // standard deviation of the raw reading (counts)
+  drift: 200, // zero drift (counts per hour)
+  nonLinearity: 0.5, // deviation at full capacity (% of reading)
+  batteryStart: 4.15, // battery voltage when the simulation starts (V)
+  batteryDischarge: 0.05, // battery discharge (V per hour)
+  temperatureCoefficient: 30, // zero shift with temperature (counts per °C)
+  connected: true,
+};
+
+const ALERT_CHECK_INTERVAL = 1000; // how often alert rules are evaluated (ms)
+const ALERT_TOAST_DURATION = 8000; // how long an alert toast stays visible (ms)
+const MAX_ALERT_HISTORY = 200; // alerts kept in localStorage
+
+// Signals alert rules can watch, with the unit their thresholds are entered in
+const ALERT_SIGNALS = {
+  weight: { label: 'Weight', unit: 'kg' },
+  battery: { label: 'Battery', unit: 'V' },
+  vdd33: { label: 'VDD33', unit: 'mV' },
+  raw: { label: 'Raw value', unit: 'counts' },
+  temperature: { label: 'Temperature', unit: '°C' },
+};
+
+const CREEP_TIME_CONSTANT = 1200000; // time constant of the creep model (20 minutes)
+const CREEP_SAMPLE_INTERVAL = 10000; // creep test samples every 10 seconds
+const CREEP_LOAD_THRESHOLD = 10; // weights beyond 10 g count as a load for the creep correction
+const ADC_FULL_SCALE = 2 ** 24; // counts of the 24-bit load cell ADC (HX711)
+const DIAGNOSTICS_HISTOGRAM_BINS = 30;
+const DIAGNOSTICS_DURATIONS = [
+  { value: 30000, label: '30 seconds' },
+  { value: 60000, label: '1 minute' },
+  { value: 300000, label: '5 minutes' },
+  { value: 900000, label: '15 minutes' },
+  { value: 3600000, label: '1 hour' },
+  { value: 14400000, label: '4 hours' },
+];
+
+const COUNTING_DEFAULT_SAMPLE_SIZE = 10;
+const COUNTING_MIN_SAMPLE_RESOLUTIONS = 100; // a sample should weigh at least 100 resolution steps
+const COUNTING_MIN_PIECE_RESOLUTIONS = 5; // a single piece should weigh at least 5 resolution steps
+
+const CHECKWEIGHER_CAPTURE_WINDOW = 1000; // captured item weights average the last second of readings
+const DEFAULT_CHECKWEIGHER_SETTINGS = {
+  unit: 'g', // unit of the target and tolerances
+  target: 500,
+  underTolerance: 5, // accepted below the target
+  overTolerance: 10, // accepted above the target
+  emptyBelow: 20, // net weights below this count as an empty platform
+  autoCapture: true,
+};
+
+const RECIPE_DEFAULT_TOLERANCE = 2; // accepted deviation of an ingredient from its target (%)
+const MAX_RECIPE_BATCHES = 200; // logged recipe batches kept in localStorage
+
+// Plausible calibration values: scale in counts per gram, offset within the 24-bit ADC range
+const CALIBRATION_LIMITS = { minScale: 0.01, maxScale: 100000, maxOffset: 8388608 };
+const SAVE_CONFIRMATION_TEXT = 'SAVE'; // must be typed before the EEPROM is written
+
+const DEFAULT_BATTERY_SETTINGS = {
+  chemistry: 'lipo',
+  customCurve: '4.2:100, 3.7:50, 3.3:0',
+  warningVoltage: 3.4,
+  criticalVoltage: 3.1,
+};
+
+// Colours of the light, dark and high-contrast themes. Buttons take their
+// colour from the risk of the action: primary (safe), secondary (neutral:
+// refresh, export, cancel), caution (revertible device writes: tare, set
+// calibration) and danger (permanent or destructive: EEPROM save, delete,
+// clear). The *Soft colours are badge and banner backgrounds, the readout
+// colours those of the large weight displays.
+const THEMES = {
+  light: {
+    background: '#eef1f4',
+    surface: '#fff',
+    surfaceAlt: '#f5f5f5',
+    text: '#222',
+    muted: '#666',
+    border: '#ddd',
+    inputBackground: '#fff',
+    inputBorder: '#ccc',
+    message: '#e0e0e0',
+    primary: '#007bff',
+    secondary: '#6c757d',
+    caution: '#e0a800',
+    danger: '#dc3545',
+    success: '#28a745',
+    accent: '#6f42c1',
+    onColor: '#fff',
+    onCaution: '#212529',
+    successSoft: '#d4edda',
+    onSuccessSoft: '#155724',
+    cautionSoft: '#fff3cd',
+    onCautionSoft: '#856404',
+    dangerSoft: '#f8d7da',
+    onDangerSoft: '#721c24',
+    readoutBackground: '#222',
+    readoutText: '#0f0',
+    readoutHold: '#ffc107',
+    // Chart series
+    chartRaw: '#28a745',
+    chartBattery: '#fd7e14',
+    chartSmoothed: '#dc3545',
+    chartVoltage: '#007bff',
+    chartPoints: '#6f42c1',
+    chartFit: '#fd7e14',
+    chartOutlier: '#dc3545',
+    chartRecording: '#20c997',
+    chartHistogram: '#4682b4',
+    shadow: '0 0 10px rgba(0,0,0,0.2)',
+  },
+  dark: {
+    background: '#121417',
+    surface: '#1e2126',
+    surfaceAlt: '#262a30',
+    text: '#e6e6e6',
+    muted: '#9aa0a6',
+    border: '#3a3f46',
+    inputBackground: '#2b3037',
+    inputBorder: '#4a5058',
+    message: '#2f343b',
+    primary: '#3d8bfd',
+    secondary: '#5c636a',
+    caution: '#ffca2c',
+    danger: '#e35d6a',
+    success: '#3ec46d',
+    accent: '#9b6dff',
+    onColor: '#fff',
+    onCaution: '#212529',
+    successSoft: '#1d3a26',
+    onSuccessSoft: '#9be1ad',
+    cautionSoft: '#3d3417',
+    onCautionSoft: '#ffe08a',
+    dangerSoft: '#44242a',
+    onDangerSoft: '#f5b5bc',
+    readoutBackground: '#000',
+    readoutText: '#3eff6e',
+    readoutHold: '#ffca2c',
+    chartRaw: '#3ec46d',
+    chartBattery: '#ff9f43',
+    chartSmoothed: '#e35d6a',
+    chartVoltage: '#6ea8fe',
+    chartPoints: '#b197fc',
+    chartFit: '#ff9f43',
+    chartOutlier: '#ff6b6b',
+    chartRecording: '#38d9a9',
+    chartHistogram: '#74a9d8',
+    shadow: '0 0 10px rgba(0,0,0,0.6)',
+  },
+  contrast: {
+    background: '#000',
+    surface: '#000',
+    surfaceAlt: '#000',
+    text: '#fff',
+    muted: '#fff',
+    border: '#fff',
+    inputBackground: '#000',
+    inputBorder: '#fff',
+    message: '#1a1a1a',
+    primary: '#ffff00',
+    secondary: '#fff',
+    caution: '#ffa500',
+    danger: '#ff6b6b',
+    success: '#00ff00',
+    accent: '#00ffff',
+    onColor: '#000',
+    onCaution: '#000',
+    successSoft: '#000',
+    onSuccessSoft: '#00ff00',
+    cautionSoft: '#000',
+    onCautionSoft: '#ffff00',
+    dangerSoft: '#000',
+    onDangerSoft: '#ff6b6b',
+    readoutBackground: '#000',
+    readoutText: '#fff',
+    readoutHold: '#ffff00',
+    chartRaw: '#00ff00',
+    chartBattery: '#ffa500',
+    chartSmoothed: '#ff6b6b',
+    chartVoltage: '#00ffff',
+    chartPoints: '#ff00ff',
+    chartFit: '#ffff00',
+    chartOutlier: '#ff6b6b',
+    chartRecording: '#00ffff',
+    chartHistogram: '#00ffff',
+    shadow: 'none',
+  },
+};
+const MOBILE_BREAKPOINT = 600; // narrower screens (px) get the compact layout with larger touch targets
+
+// Display units for weights reported in kg by the device, with selectable
+// display resolutions (in the unit itself, finest first)
+const WEIGHT_UNITS = {
+  g: { perKg: 1000, resolutions: [0.1, 1, 10] },
+  kg: { perKg: 1, resolutions: [0.001, 0.01, 0.1] },
+  lb: { perKg: 2.20462262, resolutions: [0.001, 0.01, 0.1] },
+  oz: { perKg: 35.2739619, resolutions: [0.01, 0.1, 1] },
+};
+
+// Defaults of the Settings page. Polling intervals (ms) apply while the tab
+// of the same key is shown.
+const DEFAULT_SETTINGS = {
+  pollIntervals: {
+    home: DEFAULT_DELTA_T,
+    counting: DEFAULT_DELTA_T,
+    checkweigher: DEFAULT_DELTA_T,
+    recipes: DEFAULT_DELTA_T,
+    battery: DEFAULT_DELTA_T,
+    basicCalib: DEFAULT_DELTA_T,
+    advCalib: DEFAULT_DELTA_T,
+    recording: DEFAULT_DELTA_T,
+    diagnostics: DEFAULT_DELTA_T,
+    compensation: DEFAULT_DELTA_T,
+    alerts: DEFAULT_DELTA_T,
+    scales: DEFAULT_DELTA_T,
+    settings: DEFAULT_DELTA_T,
+  },
+  plotDuration: MAX_PLOT_DURATION, // history shown by the live charts (ms)
+  meanWindow: MEAN_WINDOW, // averaging window of the calibration pages (ms)
+  decimals: 3, // decimal places of measured values (V, kg, raw means)
+  unit: 'kg', // weight display unit, see WEIGHT_UNITS
+  resolution: WEIGHT_UNITS.kg.resolutions[0],
+  theme: 'system', // 'system', 'light', 'dark' or 'contrast'
+};
+
+// Tabs in navigation order with their URL path; each has its own polling interval
+const SETTINGS_TABS = [
+  { key: 'home', label: 'Home', path: 'home' },
+  { key: 'counting', label: 'Counting', path: 'counting' },
+  { key: 'checkweigher', label: 'Checkweigher', path: 'checkweigher' },
+  { key: 'recipes', label: 'Recipes', path: 'recipes' },
+  { key: 'battery', label: 'Battery Monitor', path: 'battery' },
+  { key: 'basicCalib', label: 'Basic Calibration', path: 'basic-calibration' },
+  { key: 'advCalib', label: 'Advanced Calibration', path: 'advanced-calibration' },
+  { key: 'recording', label: 'Recording', path: 'recording' },
+  { key: 'diagnostics', label: 'Diagnostics', path: 'diagnostics' },
+  { key: 'compensation', label: 'Compensation', path: 'compensation' },
+  { key: 'alerts', label: 'Alerts', path: 'alerts' },
+  { key: 'scales', label: 'Scales', path: 'scales' },
+  { key: 'settings', label: 'Settings', path: 'settings' },
+];
+
+// Requests polled when no push transport is available; the keys are also the
+// SSE event names and WebSocket message types
+const TELEMETRY_REQUESTS = {
+  status: (node) => api.getStatus(node),
+  raw: (node) => api.getRaw(node),
+};
+
+// Signals kept in the telemetry store: which endpoint and field they come from
+const TELEMETRY_SIGNALS = [
+  { key: 'weight', source: 'status', field: 'weight' },
+  { key: 'battery', source: 'status', field: 'battery' },
+  { key: 'vdd33', source: 'status', field: 'rom_phy_get_vdd33' },
+  { key: 'temperature', source: 'status', field: 'temperature' },
+  { key: 'raw', source: 'raw', field: 'raw_value' },
+];
+
+// ---------------------
+// Network Helpers
+// ---------------------
+// fetch() that aborts after 'timeout' ms and rejects on HTTP error statuses.
+function fetchWithTimeout(url, options = {}, timeout = REQUEST_TIMEOUT) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  return fetch(url, { ...options, signal: controller.signal })
+    .then((res) => {
+      if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+      return res;
+    })
+    .catch((err) => {
+      throw err.name === 'AbortError' ? new Error(`Request to ${url} timed out`) : err;
+    })
+    .finally(() => clearTimeout(timer));
+}
+
+// Connection state from the health counters: 'online', 'degraded' or 'offline'.
+function computeConnectionState(health, now = Date.now()) {
+  const age = health.lastSuccess !== null ? now - health.lastSuccess : null;
+  if (health.consecutiveFailures >= OFFLINE_FAILURE_COUNT || (age !== null && age > OFFLINE_AFTER)) return 'offline';
+  if (health.consecutiveFailures > 0 || (age !== null && age > DEGRADED_AFTER)) return 'degraded';
+  return 'online';
+}
+
+// ---------------------
+// Device API Client
+// ---------------------
+// Every device endpoint goes through this client: URLs are built from the
+// configurable base URL, parameters are URL-encoded, JSON responses are
+// validated against RESPONSE_SCHEMAS and all failures become an ApiError.
+
+/**
+ * @typedef {Object} StatusResponse
+ * @property {number} weight - Weight in kg
+ * @property {number} [battery] - Battery voltage
+ * @property {number} [rom_phy_get_vdd33] - VDD33 reported by the ROM PHY
+ * @property {number} [temperature] - Load cell temperature in °C, if the device has a sensor
+ */
+
+/**
+ * @typedef {Object} RawResponse
+ * @property {number} raw_value - Raw load cell reading
+ * @property {number} current_scale - Scale applied by the device
+ * @property {number} current_offset - Offset applied by the device
+ */
+
+/**
+ * @typedef {Object} ScaleNode
+ * @property {string} id
+ * @property {string} name
+ */
+
+// kind: 'network', 'timeout', 'http', 'parse' or 'validation'
+class ApiError extends Error {
+  constructor(message, { kind, endpoint, status = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.endpoint = endpoint;
+    this.status = status;
+  }
+}
+
+// Numeric fields of each response; numeric strings are accepted and converted.
+// Fields not listed are passed through untouched.
+const RESPONSE_SCHEMAS = {
+  status: {
+    weight: { required: true },
+    battery: { required: false },
+    rom_phy_get_vdd33: { required: false },
+    temperature: { required: false },
+  },
+  raw: {
+    raw_value: { required: true },
+    current_scale: { required: true },
+    current_offset: { required: true },
+  },
+};
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+// Returns a copy of 'data' with the schema's fields converted to numbers, or
+// throws an ApiError describing the first invalid field.
+function validateResponse(schemaName, data, endpoint = schemaName) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ApiError(`Unexpected response from ${endpoint}: expected an object`, { kind: 'validation', endpoint });
+  }
+  const result = { ...data };
+  Object.entries(RESPONSE_SCHEMAS[schemaName]).forEach(([field, rule]) => {
+    if (data[field] === undefined || data[field] === null) {
+      if (rule.required) throw new ApiError(`Missing '${field}' in response from ${endpoint}`, { kind: 'validation', endpoint });
+      return;
+    }
+    const value = toNumber(data[field]);
+    if (!Number.isFinite(value)) {
+      throw new ApiError(`Invalid '${field}' in response from ${endpoint}: ${JSON.stringify(data[field])}`, { kind: 'validation', endpoint });
+    }
+    result[field] = value;
+  });
+  return result;
+}
+
+// Node lists may be [{ id, name }] or a plain list of ids
+function validateNodeList(data, endpoint) {
+  if (!Array.isArray(data)) {
+    throw new ApiError(`Unexpected response from ${endpoint}: expected a list of nodes`, { kind: 'validation', endpoint });
+  }
+  return data.map((n) => {
+    if (n !== null && typeof n === 'object' && n.id !== undefined) return { id: String(n.id), name: n.name ? String(n.name) : String(n.id) };
+    if (typeof n === 'string' || typeof n === 'number') return { id: String(n), name: String(n) };
+    throw new ApiError(`Invalid node in response from ${endpoint}: ${JSON.stringify(n)}`, { kind: 'validation', endpoint });
+  });
+}
+
+// Base URL of the device, '' when the UI is served by the device itself
+function getApiBaseUrl() {
+  return ((loadStored('apiSettings', {}) || {}).baseUrl || '').trim().replace(/\/+$/, '');
+}
+
+// Builds an endpoint URL; null/undefined parameters are left out. A node
+// scopes the call to an ESP-NOW node, without one the gateway's default scale
+// is used as in single-scale setups.
+function apiUrl(path, params = {}) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') query.append(key, String(value));
+  });
+  const qs = query.toString();
+  return `${getApiBaseUrl()}${path}${qs ? `?${qs}` : ''}`;
+}
+
+function apiRequest(path, params) {
+  const url = apiUrl(path, params);
+  const request = isSimulatorEnabled() ? simulator.request(url) : fetchWithTimeout(url);
+  return request.catch((err) => {
+    if (err instanceof ApiError) throw err;
+    const kind = /timed out/.test(err.message) ? 'timeout' : /^HTTP \d+/.test(err.message) ? 'http' : 'network';
+    const status = kind === 'http' ? parseInt(err.message.slice(5), 10) : null;
+    throw new ApiError(kind === 'network' ? `Cannot reach ${path}: ${err.message}` : err.message, { kind, endpoint: path, status });
+  });
+}
+
+function apiJson(path, params, validate) {
+  return apiRequest(path, params)
+    .then((res) => res.json().catch(() => {
+      throw new ApiError(`Response from ${path} is not valid JSON`, { kind: 'parse', endpoint: path });
+    }))
+    .then((data) => validate(data, path));
+}
+
+function apiText(path, params) {
+  return apiRequest(path, params).then((res) => res.text());
+}
+
+const api = {
+  /** @returns {Promise<StatusResponse>} */
+  getStatus: (node) => apiJson('/api/status', { node }, (data, path) => validateResponse('status', data, path)),
+  /** @returns {Promise<RawResponse>} */
+  getRaw: (node) => apiJson('/api/scale/raw', { node }, (data, path) => validateResponse('raw', data, path)),
+  /** @returns {Promise<StatusResponse>} Fresh reading requested over ESP-NOW */
+  getWeightReal: (node) => apiJson('/espnow_weight_real', { node }, (data, path) => validateResponse('status', data, path)),
+  /** @returns {Promise<string>} */
+  tare: (node) => apiText('/api/scale/tare', { node }),
+  /** @returns {Promise<string>} */
+  setCalibration: (scale, offset, node) => {
+    const s = toNumber(scale), o = toNumber(offset);
+    if (!Number.isFinite(s) || s === 0 || !Number.isFinite(o)) {
+      return Promise.reject(new ApiError('Invalid scale or offset', { kind: 'validation', endpoint: '/api/scale/set_calibration' }));
+    }
+    return apiText('/api/scale/set_calibration', { scale: s, offset: o, node });
+  },
+  /** @returns {Promise<string>} Stores the current calibration in the EEPROM */
+  save: (node) => apiText('/save', { node }),
+  /** @returns {Promise<ScaleNode[]>} */
+  listNodes: () => apiJson(NODES_DISCOVERY_PATH, {}, validateNodeList),
+  eventsUrl: (node) => apiUrl(TELEMETRY_EVENTS_PATH, { node }),
+  webSocketUrl: (node) => {
+    const url = new URL(apiUrl(TELEMETRY_WS_PATH, { node }), window.location.href);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    return url.href;
+  },
+};
+
+// ---------------------
+// Device Simulator
+// ---------------------
+// Mock backend implementing every endpoint the app uses, so the UI can be
+// developed and demonstrated without a scale. Each node has a simulated load
+// cell with noise, drift, non-linearity, a ringing response to load steps and
+// a discharging battery. Enabled from the Scales page; requests are answered
+// in place of fetch() by the API client.
+function createDeviceSimulator() {
+  const nodes = {};
+  let params = { ...DEFAULT_SIMULATOR_PARAMS, ...loadStored('simulatorParams', {}) };
+
+  // Gaussian noise (Box-Muller)
+  const gaussian = () => Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+
+  const getNode = (id) => {
+    const key = id || 'default';
+    if (!nodes[key]) {
+      // Slightly different load cells per node, device calibration initially off
+      const index = Object.keys(nodes).length;
+      const eeprom = loadStored(`simulatorEeprom.${key}`, null) || { scale: 400, offset: 7500 };
+      nodes[key] = {
+        trueScale: 420 + index * 15,
+        trueOffset: 8000 - index * 1200,
+        scale: eeprom.scale,
+        offset: eeprom.offset,
+        startedAt: Date.now(),
+        step: { from: 0, to: 0, at: Date.now() },
+      };
+    }
+    return nodes[key];
+  };
+
+  // Load in grams following the last step: exponential settling with ringing
+  const currentLoad = (node, now) => {
+    const { from, to, at } = node.step;
+    const dt = (now - at) / 1000;
+    return to + (from - to) * Math.exp(-dt / SIMULATOR_SETTLING_TIME) * Math.cos((2 * Math.PI * dt) / SIMULATOR_RING_PERIOD);
+  };
+
+  const readRaw = (node, now = Date.now()) => {
+    const grams = currentLoad(node, now);
+    const nonLinear = node.trueScale * (params.nonLinearity / 100) * SIMULATOR_CAPACITY * (grams / SIMULATOR_CAPACITY) ** 2;
+    const drift = (params.drift * (now - node.startedAt)) / 3600000;
+    const thermal = params.temperatureCoefficient * (temperature(node, now) - 20);
+    return node.trueOffset + node.trueScale * grams + nonLinear + drift + thermal + params.noise * gaussian();
+  };
+
+  const temperature = (node, now = Date.now()) => 20 + 8 * Math.sin((2 * Math.PI * (now - node.startedAt)) / SIMULATOR_TEMPERATURE_PERIOD);
+
+  const batteryVoltage = (node, now = Date.now()) => {
+    const hours = (now - node.startedAt) / 3600000;
+    return Math.max(3.0, params.batteryStart - params.batteryDischarge * hours) + 0.005 * gaussian();
+  };
+
+  const statusOf = (node) => {
+    const battery = batteryVoltage(node);
+    return {
+      weight: parseFloat(((readRaw(node) - node.offset) / node.scale / 1000).toFixed(3)),
+      battery: parseFloat(battery.toFixed(3)),
+      rom_phy_get_vdd33: Math.round(Math.min(3300, battery * 1000 - 80) + 3 * gaussian()),
+      temperature: parseFloat(temperature(node).toFixed(1)),
+    };
+  };
+
+  const respond = (body) => {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return { ok: true, status: 200, json: () => Promise.resolve(JSON.parse(text)), text: () => Promise.resolve(text) };
+  };
+
+  const handlers = {
+    '/api/status': (node) => respond(statusOf(node)),
+    '/espnow_weight_real': (node) => respond(statusOf(node)),
+    '/api/scale/raw': (node) => respond({
+      raw_value: Math.round(readRaw(node)),
+      current_scale: node.scale,
+      current_offset: node.offset,
+    }),
+    '/api/scale/tare': (node) => {
+      let sum = 0;
+      for (let i = 0; i < 10; i++) sum += readRaw(node);
+      node.offset = Math.round(sum / 10);
+      return respond('Tare complete');
+    },
+    '/api/scale/set_calibration': (node, query) => {
+      const scale = parseFloat(query.get('scale'));
+      const offset = parseFloat(query.get('offset'));
+      if (isNaN(scale) || isNaN(offset) || scale === 0) return null;
+      node.scale = scale;
+      node.offset = offset;
+      return respond(`Calibration set: scale=${scale}, offset=${offset}`);
+    },
+    '/save': (node, query) => {
+      saveStored(`simulatorEeprom.${query.get('node') || 'default'}`, { scale: node.scale, offset: node.offset });
+      return respond('Calibration saved to EEPROM');
+    },
+  };
+
+  return {
+    // Answers 'url' like fetch() would, after a short simulated latency
+    request(url) {
+      const parsed = new URL(url, 'http://simulator');
+      const query = parsed.searchParams;
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          if (!params.connected) {
+            reject(new TypeError('Failed to fetch (simulated connection loss)'));
+            return;
+          }
+          if (parsed.pathname === NODES_DISCOVERY_PATH) {
+            resolve(respond(SIMULATOR_NODES));
+            return;
+          }
+          const handler = handlers[parsed.pathname];
+          const res = handler && handler(getNode(query.get('node')), query);
+          if (res) resolve(res);
+          else reject(new Error(`HTTP ${handler ? 400 : 404} from ${url}`));
+        }, SIMULATOR_LATENCY * (0.5 + Math.random()));
+      });
+    },
+    // Places 'grams' on the simulated platform of a node
+    setLoad(node, grams) {
+      const state = getNode(node);
+      const now = Date.now();
+      state.step = { from: currentLoad(state, now), to: grams, at: now };
+    },
+    getLoad: (node) => getNode(node).step.to,
+    getParams: () => params,
+    setParams(newParams) {
+      params = { ...params, ...newParams };
+      saveStored('simulatorParams', params);
+    },
+    // Restarts drift and battery discharge of every node
+    reset() {
+      Object.values(nodes).forEach((state) => {
+        state.startedAt = Date.now();
+      });
+    },
+  };
+}
+
+const simulator = createDeviceSimulator();
+
+function isSimulatorEnabled() {
+  return Boolean((loadStored('apiSettings', {}) || {}).simulator);
+}
+
+// ---------------------
+// Ring Buffer
+// ---------------------
+// Fixed-capacity buffer of { time, value } samples, oldest overwritten first.
+function createRingBuffer(capacity) {
+  const items = new Array(capacity);
+  let start = 0;
+  let length = 0;
+
+  return {
+    push(item) {
+      items[(start + length) % capacity] = item;
+      if (length < capacity) length++;
+      else start = (start + 1) % capacity;
+    },
+    toArray() {
+      const result = new Array(length);
+      for (let i = 0; i < length; i++) result[i] = items[(start + i) % capacity];
+      return result;
+    },
+    // Samples with time >= 'time', oldest first
+    since(time) {
+      const result = [];
+      for (let i = length - 1; i >= 0; i--) {
+        const item = items[(start + i) % capacity];
+        if (item.time < time) break;
+        result.push(item);
+      }
+      return result.reverse();
+    },
+    get length() {
+      return length;
+    },
+  };
+}
+
+// ---------------------
+// Telemetry Store
+// ---------------------
+// Single app-wide source of device data. Every signal is kept in a ring buffer
+// whichever tab is visible. Data arrives over a push transport (Server-Sent
+// Events or WebSocket) when the device offers one, otherwise, and while the
+// push connection is down, by polling the HTTP endpoints.
+function createTelemetryStore(transportMode = TELEMETRY_TRANSPORT, node = null) {
+  const buffers = {};
+  TELEMETRY_SIGNALS.forEach((signal) => {
+    buffers[signal.key] = createRingBuffer(TELEMETRY_BUFFER_SIZE);
+  });
+  // Last known readings of the node survive reloads; until fresh data arrives
+  // they are served flagged as 'cached'
+  const lastReadings = loadStored(nodeKey('lastReadings', node), {}) || {};
+  const latest = {
+    status: lastReadings.status ? { ...lastReadings.status, cached: true } : null,
+    raw: lastReadings.raw ? { ...lastReadings.raw, cached: true } : null,
+  };
+  let lastReadingsSaved = 0;
+  const listeners = new Set();
+  let transport = 'polling';
+  let polling = false;
+  let pollTimers = {};
+  let pushConnection = null;
+  let retryTimer = null;
+  const health = { lastSuccess: null, consecutiveFailures: 0, lastError: null };
+  let pollInterval = DEFAULT_DELTA_T;
+
+  const notify = (kind) => listeners.forEach((listener) => listener(kind));
+
+  const recordSuccess = () => {
+    const changed = health.consecutiveFailures > 0 || health.lastSuccess === null;
+    health.lastSuccess = Date.now();
+    health.consecutiveFailures = 0;
+    health.lastError = null;
+    if (changed) notify('health');
+  };
+
+  const recordFailure = (err) => {
+    console.error(err);
+    health.consecutiveFailures++;
+    health.lastError = err.message || String(err);
+    notify('health');
+  };
+
+  // Adds a response of the 'status' or 'raw' endpoint to the store
+  const ingest = (kind, data) => {
+    const time = Date.now();
+    latest[kind] = { data, timestamp: time };
+    lastReadings[kind] = latest[kind];
+    if (time - lastReadingsSaved >= LAST_READINGS_SAVE_INTERVAL) {
+      lastReadingsSaved = time;
+      saveStored(nodeKey('lastReadings', node), lastReadings);
+    }
+    TELEMETRY_SIGNALS.forEach((signal) => {
+      if (signal.source === kind && data && data[signal.field] !== undefined) {
+        const value = parseFloat(data[signal.field]);
+        if (!isNaN(value)) buffers[signal.key].push({ time, value });
+      }
+    });
+    notify(kind);
+  };
+
+  // Each endpoint is requested again only once the previous request finished,
+  // so calls never overlap. After failures the delay doubles up to
+  // MAX_BACKOFF_DELAY.
+  const poll = (kind) => {
+    TELEMETRY_REQUESTS[kind](node)
+      .then((data) => {
+        recordSuccess();
+        ingest(kind, data);
+        if (polling) pollTimers[kind] = setTimeout(() => poll(kind), pollInterval);
+      })
+      .catch((err) => {
+        recordFailure(err);
+        const delay = Math.min(pollInterval * 2 ** health.consecutiveFailures, Math.max(MAX_BACKOFF_DELAY, pollInterval));
+        if (polling) pollTimers[kind] = setTimeout(() => poll(kind), delay);
+      });
+  };
+
+  const startPolling = () => {
+    if (polling) return;
+    polling = true;
+    transport = 'polling';
+    Object.keys(TELEMETRY_REQUESTS).forEach((kind) => {
+      pollTimers[kind] = setTimeout(() => poll(kind), pollInterval);
+    });
+    notify('transport');
+  };
+
+  const stopPolling = () => {
+    polling = false;
+    Object.values(pollTimers).forEach((timer) => clearTimeout(timer));
+    pollTimers = {};
+  };
+
+  const closePush = () => {
+    if (pushConnection) {
+      pushConnection.onerror = null;
+      pushConnection.onclose = null;
+      pushConnection.close();
+      pushConnection = null;
+    }
+  };
+
+  // Polling keeps running until the first pushed message arrives, and takes
+  // over again whenever the push connection fails.
+  const connectPush = () => {
+    retryTimer = null;
+    const onMessage = (kind, text) => {
+      try {
+        const data = validateResponse(kind, JSON.parse(text), `${transportMode} '${kind}' message`);
+        if (transport === 'polling') {
+          stopPolling();
+          transport = transportMode === 'websocket' ? 'websocket' : 'sse';
+          notify('transport');
+        }
+        recordSuccess();
+        ingest(kind, data);
+      } catch (err) {
+        console.error('Invalid telemetry message:', err);
+      }
+    };
+    const onFailure = () => {
+      if (transport !== 'polling') recordFailure(new Error('Push connection lost'));
+      closePush();
+      startPolling();
+      retryTimer = setTimeout(connectPush, PUSH_RETRY_INTERVAL);
+    };
+
+    if (transportMode === 'websocket' && typeof WebSocket !== 'undefined') {
+      pushConnection = new WebSocket(api.webSocketUrl(node));
+      // Messages are { "type": "status" | "raw", "data": { ... } }
+      pushConnection.onmessage = (e) => {
+        try {
+          const msg = JSON.parse(e.data);
+          if (TELEMETRY_REQUESTS[msg.type]) onMessage(msg.type, JSON.stringify(msg.data));
+        } catch (err) {
+          console.error('Invalid telemetry message:', err);
+        }
+      };
+      pushConnection.onerror = onFailure;
+      pushConnection.onclose = onFailure;
+    } else if (typeof EventSource !== 'undefined') {
+      pushConnection = new EventSource(api.eventsUrl(node));
+      Object.keys(TELEMETRY_REQUESTS).forEach((kind) => {
+        pushConnection.addEventListener(kind, (e) => onMessage(kind, e.data));
+      });
+      pushConnection.onerror = onFailure;
+    }
+  };
+
+  return {
+    ingest,
+    start() {
+      startPolling();
+      // The simulator only answers plain requests
+      if (transportMode !== 'polling' && !isSimulatorEnabled()) connectPush();
+    },
+    stop() {
+      stopPolling();
+      closePush();
+      if (retryTimer) clearTimeout(retryTimer);
+      retryTimer = null;
+    },
+    // Listeners are called with the kind of update: 'status', 'raw' or 'transport'
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getLatest: (kind) => latest[kind],
+    getHistory: (signal, duration) =>
+      duration !== undefined ? buffers[signal].since(Date.now() - duration) : buffers[signal].toArray(),
+    getTransport: () => transport,
+    getHealth: () => ({ ...health }),
+    // Delay between polls from the next request on; push transports are unaffected
+    setPollInterval(interval) {
+      pollInterval = interval;
+    },
+  };
+}
+
+const TelemetryContext = React.createContext(null);
+
+// { nodes: [{ id, name }], selectedNode, selectNode, setNodes }
+const NodeContext = React.createContext({ nodes: [], selectedNode: null, selectNode: () => {}, setNodes: () => {} });
+
+// Selected ESP-NOW node id, or null for the gateway's default scale
+function useSelectedNode() {
+  return useContext(NodeContext).selectedNode;
+}
+
+// Storage key scoped to the selected node
+function nodeKey(key, node) {
+  return node ? `${key}.${node}` : key;
+}
+
+// ---------------------
+// Telemetry Provider
+// ---------------------
+// Scoped to one ESP-NOW node; remount it (key) to switch nodes.
+const TelemetryProvider = ({ node, children }) => {
+  const storeRef = useRef(null);
+  if (storeRef.current === null) storeRef.current = createTelemetryStore(TELEMETRY_TRANSPORT, node);
+
+  useEffect(() => {
+    storeRef.current.start();
+    return () => storeRef.current.stop();
+  }, []);
+
+  return <TelemetryContext.Provider value={storeRef.current}>{children}</TelemetryContext.Provider>;
+};
+
+// ---------------------
+// Telemetry Hooks
+// ---------------------
+function useTelemetryStore() {
+  return useContext(TelemetryContext);
+}
+
+// Latest response of the 'status' or 'raw' endpoint as { data, timestamp },
+// with 'cached' set when it is the last known reading from an earlier visit
+function useTelemetrySample(kind) {
+  const store = useTelemetryStore();
+  const [sample, setSample] = useState(() => store.getLatest(kind) || { data: null, timestamp: Date.now() });
+
+  useEffect(() => {
+    return store.subscribe((updated) => {
+      if (updated === kind) setSample(store.getLatest(kind));
+    });
+  }, [store, kind]);
+
+  return sample;
+}
+
+// Samples [{ time, value }] of a signal over the last 'duration' ms
+function useSignalHistory(signal, duration = MAX_PLOT_DURATION) {
+  const store = useTelemetryStore();
+  const source = TELEMETRY_SIGNALS.find((s) => s.key === signal).source;
+  const [history, setHistory] = useState(() => store.getHistory(signal, duration));
+
+  useEffect(() => {
+    setHistory(store.getHistory(signal, duration));
+    return store.subscribe((updated) => {
+      if (updated === source) setHistory(store.getHistory(signal, duration));
+    });
+  }, [store, signal, duration]);
+
+  return history;
+}
+
+// Connection health { state, lastSuccess, age, consecutiveFailures, lastError },
+// re-evaluated every second so the age of the last update stays current.
+function useConnectionHealth() {
+  const store = useTelemetryStore();
+  const [health, setHealth] = useState(store.getHealth());
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    const unsubscribe = store.subscribe((updated) => {
+      if (updated === 'health') setHealth(store.getHealth());
+    });
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+    };
+  }, [store]);
+
+  const current = { ...health, lastSuccess: store.getHealth().lastSuccess };
+  return {
+    ...current,
+    state: computeConnectionState(current, now),
+    age: current.lastSuccess !== null ? now - current.lastSuccess : null,
+  };
+}
+
+// Current transport: 'sse', 'websocket' or 'polling'
+function useTelemetryTransport() {
+  const store = useTelemetryStore();
+  const [transport, setTransport] = useState(store.getTransport());
+
+  useEffect(() => {
+    return store.subscribe((updated) => {
+      if (updated === 'transport') setTransport(store.getTransport());
+    });
+  }, [store]);
+
+  return transport;
+}
+
+// ---------------------
+// Calibration Math
+// ---------------------
+// Least-squares fit of actual = a * raw + b over points [{ raw, actual }].
+// Given the model actual = (raw - offset)/scale, the proposed calibration is
+// scale = 1/a and offset = -b/a. Returns null when the fit is undetermined.
+function computeLinearFit(points) {
+  if (points.length < 2) return null;
+  let n = points.length;
+  let sumX = points.reduce((sum, p) => sum + p.raw, 0);
+  let sumY = points.reduce((sum, p) => sum + p.actual, 0);
+  let sumXY = points.reduce((sum, p) => sum + p.raw * p.actual, 0);
+  let sumX2 = points.reduce((sum, p) => sum + p.raw * p.raw, 0);
+  const denominator = n * sumX2 - sumX * sumX;
+  if (denominator === 0) return null;
+  let slope = (n * sumXY - sumX * sumY) / denominator;
+  let intercept = (sumY - slope * sumX) / n;
+  let proposedScale = (slope !== 0) ? (1 / slope).toFixed(3) : 'N/A';
+  let proposedOffset = (slope !== 0) ? (-intercept / slope).toFixed(3) : 'N/A';
+  return { scale: proposedScale, offset: proposedOffset, slope, intercept };
+}
+
+// Weight in grams the device reports for 'raw' under a calibration:
+// (raw - offset) / scale, as a string with 3 decimals. Inputs may be strings
+// from form fields; returns null unless all three are numbers and scale is
+// non-zero (a raw value or offset of 0 is valid).
+function simulateWeight(raw, scale, offset) {
+  const values = [raw, scale, offset].map((v) => (v === '' || v === null || v === undefined ? NaN : parseFloat(v)));
+  const [r, s, o] = values;
+  if (values.some(isNaN) || s === 0) return null;
+  return ((r - o) / s).toFixed(3);
+}
+
+// Calibration points shown on the log plot: every point except those taken at
+// the zero weight. Derived from the point list so the two never diverge.
+function logPlotPoints(points, zeroWeight) {
+  const zero = parseFloat(zeroWeight);
+  return points.filter((pt) => pt.actual !== zero);
+}
+
+// Solves A x = b by Gaussian elimination with partial pivoting.
+// Returns null for a singular system.
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+    x[row] = sum / m[row][row];
+  }
+  return x;
+}
+
+// Least-squares fit of actual = a * raw^2 + b * raw + c. Raw values are
+// centred and normalised first, otherwise raw^2 of a 24-bit ADC makes the
+// normal equations hopelessly ill-conditioned.
+function computeQuadraticFit(points) {
+  if (points.length < 3) return null;
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.raw, 0) / n;
+  const spread = Math.max(...points.map((p) => Math.abs(p.raw - meanX))) || 1;
+  const sums = [0, 0, 0, 0, 0];
+  const rhs = [0, 0, 0];
+  points.forEach((p) => {
+    const x = (p.raw - meanX) / spread;
+    for (let k = 0; k < 5; k++) sums[k] += x ** k;
+    for (let k = 0; k < 3; k++) rhs[k] += p.actual * x ** k;
+  });
+  const coeffs = solveLinearSystem(
+    [[sums[0], sums[1], sums[2]], [sums[1], sums[2], sums[3]], [sums[2], sums[3], sums[4]]],
+    rhs
+  );
+  if (!coeffs) return null;
+  const [c0, c1, c2] = coeffs;
+  // Expand back to coefficients of the unnormalised raw value
+  const a = c2 / (spread * spread);
+  const b = c1 / spread - 2 * a * meanX;
+  const c = c0 - (c1 / spread) * meanX + a * meanX * meanX;
+  const predict = (raw) => {
+    const x = (raw - meanX) / spread;
+    return c0 + c1 * x + c2 * x * x;
+  };
+  return { a, b, c, predict };
+}
+
+// Piecewise-linear interpolation between the calibration points (sorted by
+// raw value, duplicates averaged). Outside the calibrated range the first or
+// last segment is extrapolated.
+function computePiecewiseFit(points) {
+  const byRaw = {};
+  points.forEach((p) => {
+    if (!byRaw[p.raw]) byRaw[p.raw] = [];
+    byRaw[p.raw].push(p.actual);
+  });
+  const nodes = Object.keys(byRaw)
+    .map((raw) => ({ raw: parseFloat(raw), actual: byRaw[raw].reduce((a, b) => a + b, 0) / byRaw[raw].length }))
+    .sort((p, q) => p.raw - q.raw);
+  if (nodes.length < 2) return null;
+  const predict = (raw) => {
+    let i = 0;
+    while (i < nodes.length - 2 && raw > nodes[i + 1].raw) i++;
+    const p = nodes[i], q = nodes[i + 1];
+    return p.actual + ((raw - p.raw) * (q.actual - p.actual)) / (q.raw - p.raw);
+  };
+  return { nodes, predict };
+}
+
+// Fits the selected calibration model ('linear', 'quadratic' or 'piecewise')
+// and returns { model, predict, ... } or null if there are too few points.
+function fitCalibrationModel(points, model) {
+  if (model === 'quadratic') {
+    const fit = computeQuadraticFit(points);
+    return fit && { model, ...fit };
+  }
+  if (model === 'piecewise') {
+    const fit = computePiecewiseFit(points);
+    return fit && { model, ...fit };
+  }
+  const fit = computeLinearFit(points);
+  return fit && { model: 'linear', ...fit, predict: (raw) => fit.slope * raw + fit.intercept };
+}
+
+// Quality measures of a fitted model over its calibration points: R²,
+// per-point residuals (actual - predicted), RMS and max absolute error, and
+// points whose residual is further than OUTLIER_THRESHOLD standard deviations
+// from zero (only with 4 or more points, fewer cannot tell an outlier apart).
+function computeFitDiagnostics(points, predict) {
+  const n = points.length;
+  const meanY = points.reduce((sum, p) => sum + p.actual, 0) / n;
+  const residuals = points.map((p) => p.actual - predict(p.raw));
+  const ssRes = residuals.reduce((sum, r) => sum + r * r, 0);
+  const ssTot = points.reduce((sum, p) => sum + (p.actual - meanY) ** 2, 0);
+  const rSquared = ssTot !== 0 ? 1 - ssRes / ssTot : null;
+  const rms = Math.sqrt(ssRes / n);
+  const maxError = Math.max(...residuals.map((r) => Math.abs(r)));
+  const outliers = residuals.map((r) => n >= 4 && rms > 0 && Math.abs(r) > OUTLIER_THRESHOLD * rms);
+  return { residuals, rSquared, rms, maxError, outliers };
+}
+
+// ---------------------
+// Weight Units & Statistics
+// ---------------------
+function convertWeight(kg, unit) {
+  return kg * WEIGHT_UNITS[unit].perKg;
+}
+
+// Converts a weight in kg to 'unit', rounded to 'resolution' of that unit
+function formatWeight(kg, unit, resolution) {
+  if (kg === null || kg === undefined || isNaN(kg)) return '---';
+  const value = Math.round(convertWeight(kg, unit) / resolution) * resolution;
+  const decimals = Math.max(0, Math.ceil(-Math.log10(resolution)));
+  return value.toFixed(decimals);
+}
+
+// Running min/max/peak (largest magnitude) of weights in kg. Returns 'stats'
+// itself when 'kg' changes none of them.
+function updateWeightStats(stats, kg) {
+  if (!stats) return { min: kg, max: kg, peak: kg, since: Date.now() };
+  if (kg >= stats.min && kg <= stats.max && Math.abs(kg) <= Math.abs(stats.peak)) return stats;
+  return {
+    ...stats,
+    min: Math.min(stats.min, kg),
+    max: Math.max(stats.max, kg),
+    peak: Math.abs(kg) > Math.abs(stats.peak) ? kg : stats.peak,
+  };
+}
+
+// ---------------------
+// Piece Counting
+// ---------------------
+// Average weight (kg) of a single piece from a sample of 'pieces' pieces
+// weighing 'sampleKg' net, or null if the sample is not usable
+function pieceWeightFromSample(sampleKg, pieces) {
+  if (!Number.isFinite(sampleKg) || sampleKg <= 0 || !(pieces > 0)) return null;
+  return sampleKg / pieces;
+}
+
+// Number of pieces in 'netKg', rounded to whole pieces
+function countPieces(netKg, pieceKg) {
+  if (!Number.isFinite(netKg) || !(pieceKg > 0)) return null;
+  return Math.max(0, Math.round(netKg / pieceKg));
+}
+
+// Warnings about a sample relative to the scale resolution (kg): too light a
+// sample makes the piece weight inaccurate, too light a piece makes single
+// pieces hard to tell apart from noise.
+function samplingWarnings(sampleKg, pieceKg, resolutionKg) {
+  const warnings = [];
+  if (!(resolutionKg > 0) || pieceKg === null) return warnings;
+  if (sampleKg < COUNTING_MIN_SAMPLE_RESOLUTIONS * resolutionKg) {
+    warnings.push(`The sample weighs only ${Math.round(sampleKg / resolutionKg)} resolution steps; sample more pieces (at least ${COUNTING_MIN_SAMPLE_RESOLUTIONS} steps) for an accurate piece weight.`);
+  }
+  if (pieceKg < COUNTING_MIN_PIECE_RESOLUTIONS * resolutionKg) {
+    warnings.push(`A piece weighs only ${(pieceKg / resolutionKg).toFixed(1)} resolution steps; counts may be off by a few pieces.`);
+  }
+  return warnings;
+}
+
+// ---------------------
+// Checkweighing
+// ---------------------
+// 'under', 'ok' or 'over' for a weight (kg) against the target band of the
+// checkweigher settings, or null without a weight
+function classifyWeight(kg, config) {
+  if (!Number.isFinite(kg)) return null;
+  const weight = convertWeight(kg, config.unit);
+  if (weight < config.target - config.underTolerance) return 'under';
+  if (weight > config.target + config.overTolerance) return 'over';
+  return 'ok';
+}
+
+// Checkweigher settings with the target, tolerances and empty threshold
+// converted to 'unit', so that switching the unit keeps the same weights
+function convertCheckweigherUnit(config, unit) {
+  const factor = WEIGHT_UNITS[unit].perKg / WEIGHT_UNITS[config.unit].perKg;
+  const convert = (value) => parseFloat((value * factor).toPrecision(6));
+  return {
+    ...config,
+    unit,
+    target: convert(config.target),
+    underTolerance: convert(config.underTolerance),
+    overTolerance: convert(config.overTolerance),
+    emptyBelow: convert(config.emptyBelow),
+  };
+}
+
+// Statistics of captured items [{ id, time, weight (kg), result }] in 'unit':
+// count, mean, stdDev, min, max, counts per result and the reject rate (%)
+function checkweigherStats(items, unit) {
+  const n = items.length;
+  const counts = { under: 0, ok: 0, over: 0 };
+  items.forEach((item) => { counts[item.result]++; });
+  if (n === 0) return { count: 0, mean: null, stdDev: null, min: null, max: null, counts, rejectRate: null };
+  const weights = items.map((item) => convertWeight(item.weight, unit));
+  const mean = weights.reduce((sum, w) => sum + w, 0) / n;
+  const stdDev = n > 1 ? Math.sqrt(weights.reduce((sum, w) => sum + (w - mean) ** 2, 0) / (n - 1)) : 0;
+  return {
+    count: n,
+    mean,
+    stdDev,
+    min: Math.min(...weights),
+    max: Math.max(...weights),
+    counts,
+    rejectRate: ((counts.under + counts.over) / n) * 100,
+  };
+}
+
+// ---------------------
+// Recipes
+// ---------------------
+// A recipe { id, name, unit, tolerance, ingredients: [{ name, amount }] } has
+// its amounts in 'unit'; batches scale them to a total batch size.
+function recipeTotal(recipe) {
+  return recipe.ingredients.reduce((sum, ing) => sum + ing.amount, 0);
+}
+
+// Ingredient targets [{ name, target }] (recipe unit) for a batch of 'batchSize'
+function scaleRecipe(recipe, batchSize) {
+  const total = recipeTotal(recipe);
+  const factor = total > 0 ? batchSize / total : 0;
+  return recipe.ingredients.map((ing) => ({ name: ing.name, target: ing.amount * factor }));
+}
+
+// 'under', 'ok' or 'over' for an added amount against its target, with the
+// tolerance in percent of the target
+function ingredientStatus(actual, target, tolerance) {
+  const band = (target * tolerance) / 100;
+  if (actual < target - band) return 'under';
+  if (actual > target + band) return 'over';
+  return 'ok';
+}
+
+// ---------------------
+// Battery Analytics
+// ---------------------
+// State of charge from a discharge curve [[voltage, percent], ...] sorted by
+// descending voltage, linearly interpolated between curve points.
+function estimateStateOfCharge(voltage, curve) {
+  if (voltage === null || isNaN(voltage) || curve.length === 0) return null;
+  if (voltage >= curve[0][0]) return curve[0][1];
+  for (let i = 1; i < curve.length; i++) {
+    const [v1, p1] = curve[i - 1];
+    const [v2, p2] = curve[i];
+    if (voltage >= v2) return p2 + ((voltage - v2) * (p1 - p2)) / (v1 - v2);
+  }
+  return curve[curve.length - 1][1];
+}
+
+// Discharge curve of the configured chemistry ('custom' uses the user's curve)
+function getDischargeCurve(settings) {
+  if (settings.chemistry === 'custom') return parseDischargeCurve(settings.customCurve) || BATTERY_PRESETS.lipo.curve;
+  return (BATTERY_PRESETS[settings.chemistry] || BATTERY_PRESETS.lipo).curve;
+}
+
+// Parses "4.2:100, 3.7:50, 3.3:0" into a curve, or null if invalid
+function parseDischargeCurve(text) {
+  const curve = (text || '')
+    .split(/[,;\n]+/)
+    .map((pair) => pair.split(':').map((v) => parseFloat(v)))
+    .filter((pair) => pair.length === 2 && !isNaN(pair[0]) && !isNaN(pair[1]))
+    .sort((a, b) => b[0] - a[0]);
+  return curve.length >= 2 ? curve : null;
+}
+
+// Exponential moving average over samples [{ time, value }]; 'timeConstant'
+// in ms, so irregular sample intervals are weighted correctly.
+function smoothSeries(samples, timeConstant = BATTERY_SMOOTHING) {
+  let smoothed = null;
+  let lastTime = null;
+  return samples.map((s) => {
+    if (smoothed === null) {
+      smoothed = s.value;
+    } else {
+      const alpha = 1 - Math.exp(-(s.time - lastTime) / timeConstant);
+      smoothed += alpha * (s.value - smoothed);
+    }
+    lastTime = s.time;
+    return { time: s.time, value: smoothed };
+  });
+}
+
+// Least-squares slope of samples [{ time, value }] in value per hour
+function slopePerHour(samples) {
+  const n = samples.length;
+  if (n < 2) return null;
+  const t0 = samples[0].time;
+  const xs = samples.map((s) => (s.time - t0) / 3600000);
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = samples.reduce((sum, s) => sum + s.value, 0) / n;
+  let num = 0, den = 0;
+  samples.forEach((s, i) => {
+    num += (xs[i] - meanX) * (s.value - meanY);
+    den += (xs[i] - meanX) ** 2;
+  });
+  return den !== 0 ? num / den : null;
+}
+
+// Battery status from the configured thresholds: 'normal', 'warning' or 'critical'
+function batteryLevel(voltage, settings) {
+  if (voltage === null || voltage === undefined || isNaN(voltage)) return 'normal';
+  if (voltage < settings.criticalVoltage) return 'critical';
+  if (voltage < settings.warningVoltage) return 'warning';
+  return 'normal';
+}
+
+// ---------------------
+// Compensation Math
+// ---------------------
+// Temperature and creep compensation on top of the device calibration:
+//   offset(T) = offset + zeroCoeff * (T - referenceTemp)
+//   scale(T)  = scale * (1 + spanCoeff * (T - referenceTemp))
+//   weight    = (raw - offset(T)) / scale(T) / (1 + creepCoeff * (1 - e^(-t / creepTimeConstant)))
+// with t the time the load has been on the scale.
+
+// Fits zeroCoeff (counts/°C) from zero records and spanCoeff (1/°C) from span
+// records [{ kind: 'zero'|'span', temperature, raw, load }]. Either part is
+// null when its records do not span at least two temperatures.
+function fitTemperatureCompensation(records, calibration) {
+  const zeros = records.filter((r) => r.kind === 'zero');
+  const spans = records.filter((r) => r.kind === 'span' && r.load > 0);
+  const temps = records.map((r) => r.temperature);
+  if (temps.length === 0) return null;
+  const referenceTemp = temps.reduce((a, b) => a + b, 0) / temps.length;
+
+  const zeroFit = computeLinearFit(zeros.map((r) => ({ raw: r.temperature, actual: r.raw })));
+  const zeroAt = (t) => (zeroFit ? zeroFit.intercept + zeroFit.slope * t : calibration.offset);
+
+  // Sensitivity (counts per gram) of each span record against the zero at its temperature
+  const spanFit = computeLinearFit(spans.map((r) => ({ raw: r.temperature, actual: (r.raw - zeroAt(r.temperature)) / r.load })));
+  const sensitivityAtReference = spanFit ? spanFit.intercept + spanFit.slope * referenceTemp : null;
+
+  return {
+    referenceTemp,
+    offset: zeroFit ? zeroAt(referenceTemp) : calibration.offset,
+    zeroCoeff: zeroFit ? zeroFit.slope : null,
+    scale: sensitivityAtReference || calibration.scale,
+    spanCoeff: spanFit && sensitivityAtReference ? spanFit.slope / sensitivityAtReference : null,
+  };
+}
+
+// Least-squares creep coefficient C of relative span changes
+// [{ elapsed (ms), relative }] under constant load, for
+// relative = C * (1 - e^(-elapsed / timeConstant)).
+function fitCreep(samples, timeConstant) {
+  let num = 0, den = 0;
+  samples.forEach((s) => {
+    const f = 1 - Math.exp(-s.elapsed / timeConstant);
+    num += s.relative * f;
+    den += f * f;
+  });
+  return den > 0 ? num / den : null;
+}
+
+// Weight in grams corrected with the fitted compensation. Missing
+// coefficients or inputs leave that part uncorrected.
+function compensateWeight(raw, temperature, loadedFor, compensation) {
+  const { referenceTemp, offset, scale, zeroCoeff, spanCoeff, creepCoeff, creepTimeConstant } = compensation;
+  const dT = Number.isFinite(temperature) ? temperature - referenceTemp : 0;
+  const offsetT = offset + (zeroCoeff || 0) * dT;
+  const scaleT = scale * (1 + (spanCoeff || 0) * dT);
+  const creep = creepCoeff && loadedFor > 0 ? creepCoeff * (1 - Math.exp(-loadedFor / creepTimeConstant)) : 0;
+  return (raw - offsetT) / scaleT / (1 + creep);
+}
+
+// ---------------------
+// Noise Analysis
+// ---------------------
+// Statistics of raw samples [{ time, value }]: mean, standard deviation,
+// peak-to-peak noise and the covered duration (ms).
+function computeNoiseStats(samples) {
+  const n = samples.length;
+  if (n < 2) return null;
+  const values = samples.map((s) => s.value);
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1);
+  // Not Math.min(...values): long recordings exceed the argument limit
+  const min = values.reduce((a, b) => Math.min(a, b)), max = values.reduce((a, b) => Math.max(a, b));
+  return { count: n, mean, stdDev: Math.sqrt(variance), min, max, peakToPeak: max - min, duration: samples[n - 1].time - samples[0].time };
+}
+
+// Non-overlapping Allan deviation for averaging times of 1, 2, 4, ... samples,
+// as [{ tau, deviation }] with tau in seconds (from the mean sample interval).
+// Needs at least three blocks per averaging time.
+function computeAllanDeviation(samples) {
+  const n = samples.length;
+  if (n < 3) return [];
+  const interval = (samples[n - 1].time - samples[0].time) / (n - 1) / 1000;
+  const result = [];
+  for (let m = 1; n / m >= 3; m *= 2) {
+    const blocks = [];
+    for (let i = 0; i + m <= n; i += m) {
+      let sum = 0;
+      for (let k = i; k < i + m; k++) sum += samples[k].value;
+      blocks.push(sum / m);
+    }
+    let sumSq = 0;
+    for (let i = 1; i < blocks.length; i++) sumSq += (blocks[i] - blocks[i - 1]) ** 2;
+    result.push({ tau: m * interval, deviation: Math.sqrt(sumSq / (2 * (blocks.length - 1))) });
+  }
+  return result;
+}
+
+// Histogram of 'values' in 'bins' equal-width bins, as [{ from, to, count }]
+function computeHistogram(values, bins) {
+  if (values.length === 0) return [];
+  const min = values.reduce((a, b) => Math.min(a, b)), max = values.reduce((a, b) => Math.max(a, b));
+  const width = (max - min) / bins || 1;
+  const histogram = Array.from({ length: bins }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+  values.forEach((v) => {
+    histogram[Math.min(bins - 1, Math.floor((v - min) / width))].count++;
+  });
+  return histogram;
+}
+
+// Effective resolution of the ADC: RMS ('effective') and peak-to-peak
+// ('noise-free') bits relative to ADC_FULL_SCALE counts, at most the ADC's own.
+function effectiveResolution(stats) {
+  if (!stats || stats.stdDev === 0) return null;
+  const adcBits = Math.log2(ADC_FULL_SCALE);
+  return {
+    effectiveBits: Math.min(adcBits, Math.log2(ADC_FULL_SCALE / stats.stdDev)),
+    noiseFreeBits: stats.peakToPeak > 0 ? Math.min(adcBits, Math.log2(ADC_FULL_SCALE / stats.peakToPeak)) : null,
+  };
+}
+
+// ---------------------
+// Battery Logger
+// ---------------------
+// Appends one averaged battery sample per BATTERY_LOG_INTERVAL to a long-term
+// log in localStorage, used for discharge-rate and runtime estimation.
+const BatteryLogger = () => {
+  const telemetry = useTelemetryStore();
+  const node = useSelectedNode();
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const samples = telemetry.getHistory('battery', BATTERY_LOG_INTERVAL);
+      if (samples.length === 0) return;
+      const value = samples.reduce((sum, s) => sum + s.value, 0) / samples.length;
+      const log = loadStored(nodeKey('batteryLog', node), []);
+      saveStored(nodeKey('batteryLog', node), [...log, { time: Date.now(), value }].slice(-BATTERY_LOG_SIZE));
+      window.dispatchEvent(new Event('batteryLogChanged'));
+    }, BATTERY_LOG_INTERVAL);
+    return () => clearInterval(timer);
+  }, [telemetry, node]);
+
+  return null;
+};
+
+// ---------------------
+// Alert Rules
+// ---------------------
+// A rule { id, name, signal, condition, threshold, duration, enabled, notify,
+// sound } is checked against the telemetry store of the selected scale.
+// Conditions: 'above'/'below' the threshold, 'dropBy'/'riseBy' more than the
+// threshold within 'duration' seconds, and 'offline' for 'threshold' seconds.
+function describeAlertRule(rule) {
+  const signal = ALERT_SIGNALS[rule.signal] || { label: rule.signal, unit: '' };
+  switch (rule.condition) {
+    case 'above': return `${signal.label} above ${rule.threshold} ${signal.unit}`;
+    case 'below': return `${signal.label} below ${rule.threshold} ${signal.unit}`;
+    case 'dropBy': return `${signal.label} drops by ${rule.threshold} ${signal.unit} within ${rule.duration} s`;
+    case 'riseBy': return `${signal.label} rises by ${rule.threshold} ${signal.unit} within ${rule.duration} s`;
+    case 'offline': return `Device offline for ${rule.threshold} s`;
+    default: return rule.condition;
+  }
+}
+
+// Returns { active, value } for a rule, where 'value' is the measured quantity
+// the threshold was compared with. 'since' stands in for the last successful
+// update while the device has never answered.
+function evaluateAlertRule(rule, telemetry, now, since) {
+  const threshold = parseFloat(rule.threshold);
+  if (isNaN(threshold)) return { active: false, value: null };
+
+  if (rule.condition === 'offline') {
+    const lastSuccess = telemetry.getHealth().lastSuccess;
+    const seconds = (now - (lastSuccess !== null ? lastSuccess : since)) / 1000;
+    return { active: seconds >= threshold, value: seconds };
+  }
+
+  if (rule.condition === 'above' || rule.condition === 'below') {
+    // Only fresh readings count; a stale value says nothing about the scale
+    const samples = telemetry.getHistory(rule.signal, OFFLINE_AFTER);
+    if (samples.length === 0) return { active: false, value: null };
+    const value = samples[samples.length - 1].value;
+    return { active: rule.condition === 'above' ? value > threshold : value < threshold, value };
+  }
+
+  const samples = telemetry.getHistory(rule.signal, (parseFloat(rule.duration) || 60) * 1000);
+  if (samples.length < 2) return { active: false, value: null };
+  const values = samples.map((s) => s.value);
+  const last = values[values.length - 1];
+  // Change relative to the extreme of the window, so a slow drop is caught too
+  const value = rule.condition === 'dropBy' ? Math.max(...values) - last : last - Math.min(...values);
+  return { active: value >= threshold, value };
+}
+
+// Prepends { timestamp, ruleId, name, description, value, node } to the alert
+// history and notifies mounted history views.
+function recordAlert(entry) {
+  const history = loadStored('alertHistory', []);
+  saveStored('alertHistory', [{ timestamp: new Date().toISOString(), ...entry }, ...history].slice(0, MAX_ALERT_HISTORY));
+  window.dispatchEvent(new Event('alertHistoryChanged'));
+}
+
+function useAlertHistory() {
+  const [history, setHistory] = useState(() => loadStored('alertHistory', []));
+
+  useEffect(() => {
+    const reload = () => setHistory(loadStored('alertHistory', []));
+    window.addEventListener('alertHistoryChanged', reload);
+    return () => window.removeEventListener('alertHistoryChanged', reload);
+  }, []);
+
+  const clearHistory = () => {
+    saveStored('alertHistory', []);
+    window.dispatchEvent(new Event('alertHistoryChanged'));
+  };
+
+  return [history, clearHistory];
+}
+
+// Short two-tone beep through the Web Audio API
+function playAlertSound() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+  try {
+    const audio = new AudioContext();
+    [880, 660].forEach((frequency, i) => {
+      const oscillator = audio.createOscillator();
+      const gain = audio.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.value = 0.2;
+      oscillator.connect(gain);
+      gain.connect(audio.destination);
+      oscillator.start(audio.currentTime + i * 0.25);
+      oscillator.stop(audio.currentTime + i * 0.25 + 0.2);
+    });
+    setTimeout(() => audio.close(), 1000);
+  } catch (err) {
+    console.error('Error playing alert sound:', err);
+  }
+}
+
+// Browser notification, shown only once the user granted permission
+function showBrowserNotification(title, body) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  try {
+    new Notification(title, { body });
+  } catch (err) {
+    console.error('Error showing notification:', err);
+  }
+}
+
+// ---------------------
+// Alert Monitor
+// ---------------------
+// Checks the enabled rules every ALERT_CHECK_INTERVAL and raises an alert when
+// a rule becomes active; it fires again only after the condition cleared.
+// Renders the in-app toasts.
+const AlertMonitor = () => {
+  const telemetry = useTelemetryStore();
+  const node = useSelectedNode();
+  const [alertSettings] = useStoredState('alertRules', { rules: [] });
+  const [toasts, setToasts] = useState([]);
+  const { theme } = useTheme();
+  const activeRules = useRef({});
+  const rulesRef = useRef(alertSettings.rules);
+  rulesRef.current = alertSettings.rules;
+
+  useEffect(() => {
+    const since = Date.now();
+    activeRules.current = {};
+    const timer = setInterval(() => {
+      const now = Date.now();
+      rulesRef.current.filter((rule) => rule.enabled).forEach((rule) => {
+        const { active, value } = evaluateAlertRule(rule, telemetry, now, since);
+        const wasActive = activeRules.current[rule.id];
+        activeRules.current[rule.id] = active;
+        if (!active || wasActive) return;
+
+        const description = describeAlertRule(rule);
+        const entry = { ruleId: rule.id, name: rule.name || description, description, value, node };
+        recordAlert(entry);
+        setToasts((prev) => [...prev, { ...entry, id: `${rule.id}-${now}` }]);
+        setTimeout(() => setToasts((prev) => prev.filter((t) => t.id !== `${rule.id}-${now}`)), ALERT_TOAST_DURATION);
+        if (rule.notify) showBrowserNotification(entry.name, `${description}${node ? ` (${node})` : ''}`);
+        if (rule.sound) playAlertSound();
+      });
+    }, ALERT_CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [telemetry, node]);
+
+  if (toasts.length === 0) return null;
+
+  return (
+    <div style={{ position: 'fixed', top: '20px', right: '20px', zIndex: 1000, display: 'flex', flexDirection: 'column', gap: '10px', maxWidth: '320px' }}>
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          role="alert"
+          style={{ padding: '10px 15px', borderRadius: '5px', backgroundColor: theme.danger, color: theme.onColor, boxShadow: theme.shadow }}
+        >
+          <strong>{toast.name}</strong>
+          <div style={{ fontSize: '12px' }}>
+            {toast.name !== toast.description ? toast.description : ''}
+            {toast.value !== null ? ` (measured ${toast.value.toFixed(3)})` : ''}
+          </div>
+          <button
+            style={{ marginTop: '5px', background: 'none', border: `1px solid ${theme.onColor}`, color: theme.onColor, borderRadius: '5px', cursor: 'pointer' }}
+            onClick={() => setToasts((prev) => prev.filter((t) => t.id !== toast.id))}
+          >
+            Dismiss
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// ---------------------
+// Stability Detection
+// ---------------------
+// Judges whether the raw readings [{ time, value }] have settled: the standard
+// deviation and the drift (least-squares slope, in counts per second) over the
+// window must both stay under their thresholds.
+function computeStability(samples, thresholds = {}) {
+  const maxStdDev = Number.isFinite(thresholds.maxStdDev) ? thresholds.maxStdDev : STABILITY_MAX_STDDEV;
+  const maxDrift = Number.isFinite(thresholds.maxDrift) ? thresholds.maxDrift : STABILITY_MAX_DRIFT;
+  const n = samples.length;
+  if (n < 3) return { stable: false, stdDev: null, drift: null, count: n };
+  const mean = samples.reduce((sum, pt) => sum + pt.value, 0) / n;
+  const variance = samples.reduce((sum, pt) => sum + (pt.value - mean) ** 2, 0) / n;
+  const stdDev = Math.sqrt(variance);
+  const t0 = samples[0].time;
+  const meanT = samples.reduce((sum, pt) => sum + (pt.time - t0) / 1000, 0) / n;
+  let num = 0;
+  let den = 0;
+  samples.forEach((pt) => {
+    const dt = (pt.time - t0) / 1000 - meanT;
+    num += dt * (pt.value - mean);
+    den += dt * dt;
+  });
+  const drift = den !== 0 ? num / den : 0;
+  const stable = stdDev <= maxStdDev && Math.abs(drift) <= maxDrift;
+  return { stable, stdDev, drift, count: n };
+}
+
+// ---------------------
+// Custom Hook: useStability
+// ---------------------
+// Reports whether the last 'windowMs' of raw values in the telemetry store
+// have settled.
+function useStability(thresholds = {}, windowMs = STABILITY_WINDOW) {
+  const samples = useSignalHistory('raw', windowMs);
+  // Drop samples that aged out while no new data arrived
+  const now = Date.now();
+  return computeStability(samples.filter((pt) => now - pt.time <= windowMs), thresholds);
+}
+
+// ---------------------
+// Stability Indicator Component
+// ---------------------
+const StabilityIndicator = ({ stability }) => {
+  const { theme } = useTheme();
+  const style = {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '3px 10px',
+    borderRadius: '12px',
+    fontSize: '13px',
+    backgroundColor: stability.stable ? theme.successSoft : theme.cautionSoft,
+    color: stability.stable ? theme.onSuccessSoft : theme.onCautionSoft,
+    border: `1px solid ${stability.stable ? theme.success : theme.caution}`,
+  };
+  return (
+    <span style={style} title="Based on the standard deviation and drift of the raw readings">
+      {stability.stable ? '● Settled' : '○ Unsettled'}
+      {stability.stdDev !== null && (
+        <span> (σ {stability.stdDev.toFixed(1)}, drift {stability.drift.toFixed(1)}/s)</span>
+      )}
+    </span>
+  );
+};
+
+// ---------------------
+// Browser Persistence
+// ---------------------
+// Calibration sessions and the history of applied calibrations are kept in
+// localStorage so they survive tab switches, reloads and EEPROM overwrites.
+function loadStored(key, fallback) {
+  try {
+    const value = localStorage.getItem(STORAGE_PREFIX + key);
+    return value !== null ? JSON.parse(value) : fallback;
+  } catch (err) {
+    console.error(`Error loading ${key}:`, err);
+    return fallback;
+  }
+}
+
+function saveStored(key, value) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (err) {
+    console.error(`Error saving ${key}:`, err);
+  }
+}
+
+// Appends { timestamp, action, scale, offset, previousScale, previousOffset, source }
+// to the calibration history and notifies mounted history panels.
+function recordCalibrationHistory(entry) {
+  const history = loadStored('calibrationHistory', []);
+  const newHistory = [{ timestamp: new Date().toISOString(), ...entry }, ...history].slice(0, MAX_HISTORY_ENTRIES);
+  saveStored('calibrationHistory', newHistory);
+  window.dispatchEvent(new Event('calibrationHistoryChanged'));
+}
+
+// ---------------------
+// Custom Hook: useCalibrationHistory
+// ---------------------
+function useCalibrationHistory() {
+  const [history, setHistory] = useState(() => loadStored('calibrationHistory', []));
+
+  useEffect(() => {
+    const reload = () => setHistory(loadStored('calibrationHistory', []));
+    window.addEventListener('calibrationHistoryChanged', reload);
+    return () => window.removeEventListener('calibrationHistoryChanged', reload);
+  }, []);
+
+  const replaceHistory = (newHistory) => {
+    saveStored('calibrationHistory', newHistory.slice(0, MAX_HISTORY_ENTRIES));
+    window.dispatchEvent(new Event('calibrationHistoryChanged'));
+  };
+
+  return [history, replaceHistory];
+}
+
+// ---------------------
+// Custom Hook: useStoredState
+// ---------------------
+// Object state backed by localStorage; every component using the same key sees
+// updates immediately.
+function useStoredState(key, fallback) {
+  const [value, setValue] = useState(() => ({ ...fallback, ...loadStored(key, {}) }));
+
+  useEffect(() => {
+    const reload = (e) => {
+      if (e.detail === key) setValue({ ...fallback, ...loadStored(key, {}) });
+    };
+    window.addEventListener('storedStateChanged', reload);
+    return () => window.removeEventListener('storedStateChanged', reload);
+  }, [key]);
+
+  const update = (newValue) => {
+    saveStored(key, newValue);
+    window.dispatchEvent(new CustomEvent('storedStateChanged', { detail: key }));
+  };
+
+  return [value, update];
+}
+
+// ---------------------
+// Custom Hook: useSettings
+// ---------------------
+// Settings of the Settings page merged over DEFAULT_SETTINGS; changes apply
+// live to every page using them.
+function useSettings() {
+  const [stored, setSettings] = useStoredState('settings', DEFAULT_SETTINGS);
+  const settings = { ...stored, pollIntervals: { ...DEFAULT_SETTINGS.pollIntervals, ...stored.pollIntervals } };
+  return [settings, setSettings];
+}
+
+// ---------------------
+// File Export / Import Helpers
+// ---------------------
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Quotes a CSV field when needed
+function csvField(value) {
+  const str = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  rows.forEach((row) => lines.push(columns.map((col) => csvField(row[col])).join(',')));
+  return lines.join('\n');
+}
+
+// Parses CSV text with a header line into an array of objects keyed by column
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some((f) => f !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some((f) => f !== '')) rows.push(row);
+  if (rows.length === 0) return [];
+  const header = rows[0].map((h) => h.trim());
+  return rows.slice(1).map((r) => Object.fromEntries(header.map((h, i) => [h, r[i] !== undefined ? r[i].trim() : ''])));
+}
+
+function fileTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// ---------------------
+// Design System
+// ---------------------
+// Shared theme, styles and components of every page. The theme follows the
+// Settings page ('system' follows the browser's colour scheme), and screens
+// narrower than MOBILE_BREAKPOINT get a compact layout.
+const ThemeContext = React.createContext({ theme: THEMES.light, mode: 'light', compact: false });
+
+// Whether a CSS media query matches, updated when it changes
+function useMediaQuery(query) {
+  const matches = () => typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+  const [value, setValue] = useState(matches);
+
+  useEffect(() => {
+    if (typeof window.matchMedia !== 'function') return undefined;
+    const list = window.matchMedia(query);
+    const update = () => setValue(list.matches);
+    update();
+    list.addEventListener('change', update);
+    return () => list.removeEventListener('change', update);
+  }, [query]);
+
+  return value;
+}
+
+const ThemeProvider = ({ children }) => {
+  const [settings] = useSettings();
+  const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+  const compact = useMediaQuery(`(max-width: ${MOBILE_BREAKPOINT}px)`);
+  const mode = settings.theme === 'system' ? (prefersDark ? 'dark' : 'light') : settings.theme;
+  const theme = THEMES[mode] || THEMES.light;
+
+  useEffect(() => {
+    document.body.style.margin = '0';
+    document.body.style.backgroundColor = theme.background;
+    document.body.style.color = theme.text;
+    document.documentElement.style.colorScheme = mode === 'light' ? 'light' : 'dark';
+    // Charts created from now on pick up the theme's text and grid colours
+    Chart.defaults.color = theme.muted;
+    Chart.defaults.borderColor = theme.border;
+  }, [mode]);
+
+  const value = useMemo(() => ({ theme, mode, compact }), [mode, compact]);
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+function useTheme() {
+  return useContext(ThemeContext);
+}
+
+// Style objects of the current theme. 'maxWidth' is the width of the page
+// container; buttonVariant(variant) returns the button style of a risk level
+// ('primary', 'secondary', 'caution' or 'danger') or of another theme colour
+// ('success', 'accent').
+function useStyles(maxWidth = '800px') {
+  const { theme, compact } = useTheme();
+  const buttonStyle = {
+    padding: compact ? '10px 15px' : '8px 15px',
+    minHeight: compact ? '44px' : undefined,
+    fontSize: '14px',
+    backgroundColor: theme.primary,
+    color: theme.onColor,
+    border: 'none',
+    borderRadius: '5px',
+    cursor: 'pointer',
+    margin: '5px 5px 5px 0',
+  };
+  const buttonVariant = (variant = 'primary') => ({
+    ...buttonStyle,
+    backgroundColor: theme[variant] || theme.primary,
+    color: variant === 'caution' ? theme.onCaution : theme.onColor,
+  });
+  return {
+    theme,
+    compact,
+    containerStyle: {
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      padding: compact ? '10px' : '20px',
+      backgroundColor: theme.surface,
+      color: theme.text,
+      borderRadius: '10px',
+      boxShadow: theme.shadow,
+      maxWidth,
+      margin: 'auto',
+      boxSizing: 'border-box',
+    },
+    sectionStyle: {
+      width: '100%',
+      marginBottom: compact ? '10px' : '20px',
+      padding: '10px',
+      border: `1px solid ${theme.border}`,
+      borderRadius: '5px',
+      boxSizing: 'border-box',
+      overflowX: 'auto',
+    },
+    inputStyle: {
+      padding: compact ? '8px' : '5px',
+      fontSize: compact ? '16px' : '14px',
+      borderRadius: '5px',
+      border: `1px solid ${theme.inputBorder}`,
+      backgroundColor: theme.inputBackground,
+      color: theme.text,
+      marginBottom: '5px',
+      width: '100%',
+      boxSizing: 'border-box',
+    },
+    buttonStyle,
+    buttonVariant,
+    messageStyle: { backgroundColor: theme.message, padding: '10px', borderRadius: '5px', width: '100%', boxSizing: 'border-box' },
+    cellStyle: { padding: '3px 8px', borderBottom: `1px solid ${theme.border}`, textAlign: 'right' },
+    errorStyle: { color: theme.danger, fontSize: '12px' },
+  };
+}
+
+// Button coloured by the risk of its action (see useStyles). 'block' stretches
+// it to the full width, size 'small' is meant for table rows.
+const Button = ({ variant = 'primary', size, block = false, disabled = false, style, ...props }) => {
+  const { buttonVariant } = useStyles();
+  return (
+    <button
+      type="button"
+      {...props}
+      disabled={disabled}
+      style={{
+        ...buttonVariant(variant),
+        ...(size === 'small' ? { padding: '3px 8px', minHeight: 0, fontSize: '12px', margin: 0 } : {}),
+        ...(block ? { width: '100%', margin: '5px 0' } : {}),
+        opacity: disabled ? 0.5 : 1,
+        cursor: disabled ? 'not-allowed' : 'pointer',
+        ...style,
+      }}
+    />
+  );
+};
+
+// Status line of a page, announced to screen readers when it changes
+const StatusMessage = ({ children, style }) => {
+  const { messageStyle } = useStyles();
+  return (
+    <div role="status" aria-live="polite" style={{ ...messageStyle, ...style }}>
+      {children}
+    </div>
+  );
+};
+
+// Screen reader announcement of a live value. The ticking value itself is not
+// announced (aria-live off); 'text' is announced once the reading is stable and
+// again when it changes while stable.
+const SettledAnnouncement = ({ text, stable }) => {
+  const [announced, setAnnounced] = useState('');
+
+  useEffect(() => {
+    if (stable) setAnnounced(text);
+  }, [stable, text]);
+
+  const hiddenStyle = { position: 'absolute', width: '1px', height: '1px', overflow: 'hidden', clip: 'rect(0 0 0 0)', whiteSpace: 'nowrap' };
+  return <div role="status" aria-live="polite" aria-atomic="true" style={hiddenStyle}>{announced}</div>;
+};
+
+// ---------------------
+// Connection Status Components
+// ---------------------
+// Theme colour of each connection state
+const CONNECTION_COLORS = { online: 'success', degraded: 'caution', offline: 'danger' };
+
+function formatAge(age) {
+  if (age === null) return 'never';
+  if (age < 60000) return `${Math.round(age / 1000)}s ago`;
+  return `${Math.round(age / 60000)}min ago`;
+}
+
+const ConnectionBadge = ({ health }) => {
+  const { theme } = useTheme();
+  const color = theme[CONNECTION_COLORS[health.state]];
+  const style = {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '3px 10px',
+    borderRadius: '12px',
+    fontSize: '12px',
+    border: `1px solid ${color}`,
+  };
+  const dotStyle = {
+    width: '10px',
+    height: '10px',
+    borderRadius: '50%',
+    backgroundColor: color,
+  };
+  return (
+    <span style={style} title={health.lastError || ''}>
+      <span style={dotStyle} aria-hidden="true" />
+      {health.state.charAt(0).toUpperCase() + health.state.slice(1)} · updated {formatAge(health.age)}
+    </span>
+  );
+};
+
+const ConnectionBanner = ({ health }) => {
+  const { theme } = useTheme();
+  if (health.state === 'online') return null;
+  const offline = health.state === 'offline';
+  const style = {
+    maxWidth: '900px',
+    margin: '0 auto 20px',
+    padding: '10px',
+    borderRadius: '5px',
+    backgroundColor: offline ? theme.dangerSoft : theme.cautionSoft,
+    color: offline ? theme.onDangerSoft : theme.onCautionSoft,
+    border: `1px solid ${offline ? theme.danger : theme.caution}`,
+  };
+  return (
+    <div style={style} role="status">
+      <strong>{offline ? 'Device unreachable.' : 'Connection degraded.'}</strong>{' '}
+      Last successful update {formatAge(health.age)}
+      {health.consecutiveFailures > 0 && `, ${health.consecutiveFailures} failed request(s)`}
+      {health.lastError && ` (${health.lastError})`}.
+      {offline && ' Values shown may be stale; tare and set calibration requests are queued until the device is back.'}
+    </div>
+  );
+};
+
+// ---------------------
+// Live Chart Component
+// ---------------------
+// Time-series chart of samples [{ time, value }] on a time axis. New samples
+// are appended to the existing datasets and old ones trimmed, instead of
+// rebuilding the data on every update. Offers pause, zoom (mouse wheel), pan
+// (drag), a crosshair readout, rolling mean ± standard deviation overlays of
+// the first series and PNG export.
+// series: [{ label, data, color, axis }], axis 'y' (default) or 'y1';
+// axes: { y: title, y1: title }. The window ends now, or at 'endTime' when
+// given, e.g. to keep a finished recording in view.
+const LiveChart = ({ series, duration, endTime = null, axes = { y: '' }, overlayWindow = MEAN_WINDOW, showOverlaysByDefault = false, filename = 'chart', height = '300px' }) => {
+  const canvasRef = useRef(null);
+  const chartRef = useRef(null);
+  const seriesRef = useRef(series);
+  const lastTimes = useRef([]);
+  const crosshairRef = useRef(null);   // x pixel of the crosshair
+  const dragRef = useRef(null);        // { x, range } while panning
+  const zoomRangeRef = useRef(null);
+  const endTimeRef = useRef(endTime);
+  const [paused, setPaused] = useState(false);
+  const [zoomRange, setZoomRange] = useState(null);   // { min, max } while zoomed or panned
+  const [showOverlays, setShowOverlays] = useState(showOverlaysByDefault);
+  const [readout, setReadout] = useState(null);        // { time, values } under the crosshair
+  const { theme } = useTheme();
+  seriesRef.current = series;
+  zoomRangeRef.current = zoomRange;
+  endTimeRef.current = endTime;
+  const overlayIndex = series.length;  // rolling mean, mean + σ, mean - σ follow the series
+
+  const windowEnd = () => (endTimeRef.current !== null ? endTimeRef.current : Date.now());
+  const visibleRange = () => zoomRange || { min: windowEnd() - duration, max: windowEnd() };
+
+  // Rolling mean and standard deviation at index 'i' of the first series
+  const rollingStats = (points, i) => {
+    let sum = 0, sumSq = 0, n = 0;
+    for (let k = i; k >= 0 && points[i].x - points[k].x <= overlayWindow; k--) {
+      sum += points[k].y;
+      sumSq += points[k].y * points[k].y;
+      n++;
+    }
+    const mean = sum / n;
+    return { mean, stdDev: Math.sqrt(Math.max(0, sumSq / n - mean * mean)) };
+  };
+
+  // Appends the samples newer than the last plotted one (all of them when
+  // rebuilding) and drops those older than the window.
+  const syncChart = (rebuild) => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    const datasets = chart.data.datasets;
+    const cutoff = windowEnd() - duration;
+    seriesRef.current.forEach((s, i) => {
+      const points = datasets[i].data;
+      if (rebuild) {
+        points.splice(0);
+        lastTimes.current[i] = -Infinity;
+        for (let k = overlayIndex; k < overlayIndex + 3 && i === 0; k++) datasets[k].data.splice(0);
+      }
+      let start = s.data.length;
+      while (start > 0 && s.data[start - 1].time > lastTimes.current[i]) start--;
+      const firstNew = points.length;
+      for (let k = start; k < s.data.length; k++) points.push({ x: s.data[k].time, y: s.data[k].value });
+      if (s.data.length > 0) lastTimes.current[i] = s.data[s.data.length - 1].time;
+      if (i === 0) {
+        for (let k = firstNew; k < points.length; k++) {
+          const { mean, stdDev } = rollingStats(points, k);
+          datasets[overlayIndex].data.push({ x: points[k].x, y: mean });
+          datasets[overlayIndex + 1].data.push({ x: points[k].x, y: mean + stdDev });
+          datasets[overlayIndex + 2].data.push({ x: points[k].x, y: mean - stdDev });
+        }
+      }
+    });
+    datasets.forEach((dataset) => {
+      let drop = 0;
+      while (drop < dataset.data.length && dataset.data[drop].x < cutoff) drop++;
+      if (drop > 0) dataset.data.splice(0, drop);
+    });
+    const range = visibleRange();
+    chart.options.scales.x.min = range.min;
+    chart.options.scales.x.max = range.max;
+    chart.update('none');
+  };
+
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext('2d');
+    const overlay = (label, color, dash) => ({
+      label, data: [], borderColor: color, borderDash: dash, borderWidth: 1, pointRadius: 0, fill: false, hidden: !showOverlays,
+    });
+    // Vertical line at the crosshair position
+    const crosshairPlugin = {
+      id: 'crosshair',
+      afterDraw: (chart) => {
+        const x = crosshairRef.current;
+        if (x === null || !chart.chartArea) return;
+        const { top, bottom } = chart.chartArea;
+        chart.ctx.save();
+        chart.ctx.strokeStyle = theme.muted;
+        chart.ctx.beginPath();
+        chart.ctx.moveTo(x, top);
+        chart.ctx.lineTo(x, bottom);
+        chart.ctx.stroke();
+        chart.ctx.restore();
+      },
+    };
+    const scales = {
+      x: {
+        type: 'linear',
+        ticks: { callback: (value) => new Date(value).toLocaleTimeString(), maxRotation: 0 },
+      },
+      y: { position: 'left', title: { display: Boolean(axes.y), text: axes.y } },
+    };
+    if (axes.y1 !== undefined) {
+      scales.y1 = { position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: axes.y1 } };
+    }
+    chartRef.current = new Chart(ctx, {
+      type: 'line',
+      data: {
+        datasets: [
+          ...series.map((s) => ({ label: s.label, data: [], borderColor: s.color, pointRadius: 0, fill: false, yAxisID: s.axis || 'y' })),
+          overlay(`${series[0].label} rolling mean`, theme.text, []),
+          overlay('+1σ', theme.muted, [4, 4]),
+          overlay('-1σ', theme.muted, [4, 4]),
+        ],
+      },
+      options: {
+        animation: false,
+        responsive: true,
+        maintainAspectRatio: false,
+        parsing: false,
+        normalized: true,
+        scales,
+      },
+      plugins: [crosshairPlugin],
+    });
+    lastTimes.current = [];
+    syncChart(true);
+    return () => {
+      if (chartRef.current) chartRef.current.destroy();
+      chartRef.current = null;
+    };
+  }, []); // once
+
+  // Incremental update on new samples while running
+  useEffect(() => {
+    if (!paused) syncChart(false);
+  }, [...series.map((s) => s.data), zoomRange]);
+
+  // Samples that arrived while paused, or outside a changed window, need a rebuild
+  useEffect(() => {
+    if (!paused) syncChart(true);
+  }, [paused, duration, endTime]);
+
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    for (let k = overlayIndex; k < overlayIndex + 3; k++) chart.data.datasets[k].hidden = !showOverlays;
+    chart.update('none');
+  }, [showOverlays]);
+
+  // Series colours come from the theme, so they change with it
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    const { datasets } = chart.data;
+    series.forEach((s, i) => { datasets[i].borderColor = s.color; });
+    datasets[overlayIndex].borderColor = theme.text;
+    datasets[overlayIndex + 1].borderColor = theme.muted;
+    datasets[overlayIndex + 2].borderColor = theme.muted;
+    chart.update('none');
+  }, [theme, ...series.map((s) => s.color)]);
+
+  // Mouse wheel zooms the time axis around the cursor. Registered natively
+  // because React's wheel listener is passive and cannot prevent scrolling.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const handleWheel = (e) => {
+      const chart = chartRef.current;
+      if (!chart || !chart.scales || !chart.scales.x) return;
+      e.preventDefault();
+      const range = zoomRangeRef.current || { min: windowEnd() - duration, max: windowEnd() };
+      const center = chart.scales.x.getValueForPixel(e.offsetX);
+      const factor = e.deltaY > 0 ? 1.25 : 0.8;
+      const width = Math.max(1000, (range.max - range.min) * factor);
+      const ratio = (center - range.min) / (range.max - range.min);
+      setZoomRange({ min: center - width * ratio, max: center + width * (1 - ratio) });
+    };
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, [duration]);
+  const handleMouseDown = (e) => {
+    dragRef.current = { x: e.clientX, range: visibleRange() };
+  };
+
+  const handleMouseMove = (e) => {
+    const chart = chartRef.current;
+    if (!chart || !chart.scales || !chart.scales.x || !chart.chartArea) return;
+    const drag = dragRef.current;
+    if (drag) {
+      const msPerPixel = (drag.range.max - drag.range.min) / (chart.chartArea.right - chart.chartArea.left);
+      const shift = (drag.x - e.clientX) * msPerPixel;
+      setZoomRange({ min: drag.range.min + shift, max: drag.range.max + shift });
+      return;
+    }
+    const x = e.nativeEvent.offsetX;
+    if (x < chart.chartArea.left || x > chart.chartArea.right) {
+      handleMouseLeave();
+      return;
+    }
+    const time = chart.scales.x.getValueForPixel(x);
+    // Nearest plotted sample of each series (the datasets are sorted by time)
+    const values = seriesRef.current.map((s, i) => {
+      const points = chart.data.datasets[i].data;
+      let lo = 0, hi = points.length - 1;
+      if (hi < 0) return null;
+      while (lo < hi) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (points[mid].x < time) lo = mid + 1;
+        else hi = mid;
+      }
+      if (lo > 0 && time - points[lo - 1].x < points[lo].x - time) lo--;
+      return points[lo].y;
+    });
+    crosshairRef.current = x;
+    chart.draw();
+    setReadout({ time, values });
+  };
+
+  const handleMouseLeave = () => {
+    dragRef.current = null;
+    crosshairRef.current = null;
+    if (chartRef.current && chartRef.current.draw) chartRef.current.draw();
+    setReadout(null);
+  };
+
+  const exportPng = () => {
+    const link = document.createElement('a');
+    link.href = chartRef.current.toBase64Image();
+    link.download = `${filename}-${fileTimestamp()}.png`;
+    link.click();
+  };
+
+  return (
+    <div style={{ width: '100%' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '5px', alignItems: 'center', marginBottom: '5px' }}>
+        <Button size="small" variant={paused ? 'success' : 'secondary'} aria-pressed={paused} onClick={() => setPaused(!paused)}>
+          {paused ? 'Resume' : 'Pause'}
+        </Button>
+        <Button size="small" variant="secondary" onClick={() => setZoomRange(null)} disabled={!zoomRange}>Reset Zoom</Button>
+        <label style={{ fontSize: '12px' }}>
+          <input type="checkbox" checked={showOverlays} onChange={(e) => setShowOverlays(e.target.checked)} />
+          {' '}Rolling mean ± σ ({overlayWindow / 1000}s)
+        </label>
+        <Button size="small" variant="secondary" onClick={exportPng}>Export PNG</Button>
+        <span style={{ fontSize: '12px', color: theme.muted }} aria-live="off">
+          {readout
+            ? `${new Date(readout.time).toLocaleTimeString()}: ${series.map((s, i) => `${s.label} ${readout.values[i] !== null ? readout.values[i].toFixed(3) : '–'}`).join(', ')}`
+            : `${paused ? 'Paused · ' : ''}${zoomRange ? 'Zoomed · ' : ''}Scroll to zoom, drag to pan`}
+        </span>
+      </div>
+      <canvas
+        ref={canvasRef}
+        role="img"
+        aria-label={`Chart of ${series.map((s) => s.label).join(', ')}`}
+        style={{ width: '100%', height }}
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={() => { dragRef.current = null; }}
+        onMouseLeave={handleMouseLeave}
+      />
+    </div>
+  );
+};
+
+// ---------------------
+// Polling Controller
+// ---------------------
+// Applies the polling interval configured for the visible tab to the store.
+const PollingController = ({ activeTab }) => {
+  const telemetry = useTelemetryStore();
+  const [settings] = useSettings();
+  const interval = settings.pollIntervals[activeTab] || DEFAULT_DELTA_T;
+
+  useEffect(() => {
+    telemetry.setPollInterval(interval);
+  }, [telemetry, interval]);
+
+  return null;
+};
+
+// ---------------------
+// URL Routing
+// ---------------------
+// The visible tab is kept in the location hash, e.g. '#/advanced-calibration',
+// so reloads, bookmarks and the browser's back/forward buttons work. Deep links
+// may pre-seed state with query parameters:
+//   window=<seconds>            chart history (Settings)
+//   unit=<g|kg|lb|oz>           display unit, optionally with resolution=<step>
+//   node=<id>                   selected ESP-NOW node
+//   points=<raw:actual,...>     calibration points of the Advanced Calibration
+//                               session, optionally with zero=<weight> and
+//                               model=<linear|quadratic|piecewise>
+function parseRoute(hash) {
+  const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+  const tab = SETTINGS_TABS.find((t) => t.path === path);
+  return { tab: tab ? tab.key : 'home', params: new URLSearchParams(query) };
+}
+
+function routeHash(tab, params) {
+  const { path } = SETTINGS_TABS.find((t) => t.key === tab) || SETTINGS_TABS[0];
+  const query = params ? params.toString() : '';
+  return `#/${path}${query ? `?${query}` : ''}`;
+}
+
+// Parses 'raw:actual' pairs separated by commas, or null if invalid
+function parsePointsParam(value) {
+  const points = value.split(',').filter((pair) => pair.trim() !== '').map((pair) => {
+    const [raw, actual] = pair.split(':').map((v) => parseFloat(v));
+    return { raw, actual };
+  });
+  return points.length > 0 && points.every((pt) => Number.isFinite(pt.raw) && Number.isFinite(pt.actual)) ? points : null;
+}
+
+function formatPointsParam(points) {
+  return points.map((pt) => `${pt.raw}:${pt.actual}`).join(',');
+}
+
+// Writes the deep link parameters to the stored settings, node selection and
+// calibration session. Invalid values are ignored. Returns true when anything
+// was applied.
+function applyRouteParams(params) {
+  let applied = false;
+  const update = (key, value) => {
+    saveStored(key, value);
+    window.dispatchEvent(new CustomEvent('storedStateChanged', { detail: key }));
+    applied = true;
+  };
+
+  const settings = { ...DEFAULT_SETTINGS, ...loadStored('settings', {}) };
+  const changes = {};
+  const seconds = parseFloat(params.get('window'));
+  if (Number.isFinite(seconds) && seconds >= 10) changes.plotDuration = Math.round(seconds * 1000);
+  const unit = params.get('unit');
+  if (WEIGHT_UNITS[unit]) {
+    const resolution = parseFloat(params.get('resolution'));
+    changes.unit = unit;
+    changes.resolution = WEIGHT_UNITS[unit].resolutions.includes(resolution) ? resolution : WEIGHT_UNITS[unit].resolutions[0];
+  }
+  if (Object.keys(changes).length > 0) update('settings', { ...settings, ...changes });
+
+  const nodeConfig = { nodes: [], selectedNode: null, ...loadStored('nodes', {}) };
+  const node = params.get('node');
+  if (node) {
+    const nodes = nodeConfig.nodes.some((n) => n.id === node) ? nodeConfig.nodes : [...nodeConfig.nodes, { id: node, name: node }];
+    update('nodes', { ...nodeConfig, nodes, selectedNode: node });
+  }
+
+  if (params.has('points')) {
+    const calPoints = parsePointsParam(params.get('points'));
+    if (calPoints) {
+      const key = nodeKey('calibrationSession', node || nodeConfig.selectedNode);
+      const session = { calPoints, zeroWeight: params.get('zero') || '', updatedAt: new Date().toISOString() };
+      if (['linear', 'quadratic', 'piecewise'].includes(params.get('model'))) session.fitModel = params.get('model');
+      update(key, session);
+    } else {
+      console.error('Ignoring invalid calibration points in the link:', params.get('points'));
+    }
+  }
+  return applied;
+}
+
+// Tab of the current location hash. The query parameters are applied and then
+// removed from the URL, so they pre-seed the state once instead of overriding
+// later changes on every reload.
+function readRoute() {
+  const { tab, params } = parseRoute(window.location.hash);
+  const applied = applyRouteParams(params);
+  if ([...params.keys()].length > 0) window.history.replaceState(null, '', routeHash(tab));
+  return { tab, applied };
+}
+
+// ---------------------
+// Custom Hook: useHashRoute
+// ---------------------
+// Returns [{ tab, seed }, navigate]. navigate(tab) adds a browser history
+// entry; 'seed' changes whenever a link applied new state, so the pages can
+// be remounted to pick it up. The parameters of the link the app was opened
+// with are applied on mount, the initial state only parses the tab.
+function useHashRoute() {
+  const [route, setRoute] = useState(() => ({ tab: parseRoute(window.location.hash).tab, seed: 0 }));
+
+  useEffect(() => {
+    const update = () => {
+      const { tab, applied } = readRoute();
+      setRoute((prev) => ({ tab, seed: applied ? prev.seed + 1 : prev.seed }));
+    };
+    update();
+    window.addEventListener('hashchange', update);
+    return () => window.removeEventListener('hashchange', update);
+  }, []);
+
+  const navigate = (tab) => {
+    const hash = routeHash(tab);
+    if (window.location.hash !== hash) window.location.hash = hash;
+    else setRoute((prev) => ({ ...prev, tab }));
+  };
+
+  return [route, navigate];
+}
+
+// ---------------------
+// Navigation Component
+// ---------------------
+// Tabs follow the WAI-ARIA tabs pattern: only the active tab is in the tab
+// order and the arrow, Home and End keys move between tabs.
+const Navigation = ({ activeTab, setActiveTab }) => {
+  const transport = useTelemetryTransport();
+  const health = useConnectionHealth();
+  const { nodes, selectedNode, selectNode } = useContext(NodeContext);
+  const { theme, compact } = useTheme();
+  const tabRefs = useRef({});
+  const navStyle = {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: compact ? '10px' : '20px',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: '20px',
+  };
+  const tabListStyle = {
+    display: 'flex',
+    flexWrap: compact ? 'nowrap' : 'wrap',
+    gap: compact ? '5px' : '10px',
+    justifyContent: compact ? 'flex-start' : 'center',
+    overflowX: compact ? 'auto' : 'visible',
+    maxWidth: '100%',
+  };
+  const buttonStyle = (tab) => ({
+    padding: compact ? '12px 15px' : '10px 20px',
+    cursor: 'pointer',
+    backgroundColor: activeTab === tab ? theme.primary : theme.surfaceAlt,
+    color: activeTab === tab ? theme.onColor : theme.text,
+    border: `1px solid ${activeTab === tab ? theme.primary : theme.border}`,
+    borderRadius: '5px',
+    whiteSpace: 'nowrap',
+  });
+
+  const handleKeyDown = (e) => {
+    const index = SETTINGS_TABS.findIndex((t) => t.key === activeTab);
+    const targets = {
+      ArrowRight: (index + 1) % SETTINGS_TABS.length,
+      ArrowLeft: (index - 1 + SETTINGS_TABS.length) % SETTINGS_TABS.length,
+      Home: 0,
+      End: SETTINGS_TABS.length - 1,
+    };
+    if (targets[e.key] === undefined) return;
+    e.preventDefault();
+    const tab = SETTINGS_TABS[targets[e.key]].key;
+    setActiveTab(tab);
+    if (tabRefs.current[tab]) tabRefs.current[tab].focus();
+  };
+
+  return (
+    <>
+      <nav style={navStyle} aria-label="Main">
+        <div role="tablist" aria-label="Pages" style={tabListStyle} onKeyDown={handleKeyDown}>
+          {SETTINGS_TABS.map(({ key, label }) => (
+            <button
+              key={key}
+              ref={(el) => { tabRefs.current[key] = el; }}
+              type="button"
+              role="tab"
+              id={`tab-${key}`}
+              aria-selected={activeTab === key}
+              aria-controls={`panel-${key}`}
+              tabIndex={activeTab === key ? 0 : -1}
+              style={buttonStyle(key)}
+              onClick={() => setActiveTab(key)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {nodes.length > 0 && (
+          <select
+            style={{ padding: '8px', borderRadius: '5px', backgroundColor: theme.inputBackground, color: theme.text, border: `1px solid ${theme.inputBorder}` }}
+            value={selectedNode || ''}
+            onChange={(e) => selectNode(e.target.value || null)}
+            title="Scale node used by all pages"
+            aria-label="Scale node"
+          >
+            <option value="">Default scale</option>
+            {nodes.map((n) => <option key={n.id} value={n.id}>{n.name}</option>)}
+          </select>
+        )}
+        <span style={{ fontSize: '12px', color: theme.muted }}>
+          Live data: {transport === 'polling' ? 'HTTP polling' : transport === 'sse' ? 'Server-Sent Events' : 'WebSocket'}
+        </span>
+        <ConnectionBadge health={health} />
+      </nav>
+      <ConnectionBanner health={health} />
+    </>
+  );
+};
+
+// ---------------------
+// Home Page: Weight & Battery Status
+// ---------------------
+const HomePage = () => {
+  const { data: scaleData, cached, timestamp } = useTelemetrySample('status');
+  const telemetry = useTelemetryStore();
+  const node = useSelectedNode();
+  const [batterySettings] = useStoredState('batterySettings', DEFAULT_BATTERY_SETTINGS);
+  const level = batteryLevel(scaleData ? parseFloat(scaleData.battery) : null, batterySettings);
+  const stability = useStability();
+  const storedWeighing = useRef(loadStored('weighing', {}) || {}).current;
+  const [settings, setSettings] = useSettings();
+  const { unit, resolution, decimals } = settings;
+  const [tareWeight, setTareWeight] = useState(storedWeighing.tareWeight || 0);   // Local tare in kg
+  const [showNet, setShowNet] = useState(storedWeighing.showNet || false);
+  const [stats, setStats] = useState(storedWeighing.stats || null);               // Gross { min, max, peak } in kg
+  const [heldWeight, setHeldWeight] = useState(null);                              // Gross kg frozen by Hold
+  const statsRef = useRef(stats);
+  statsRef.current = stats;
+
+  const gross = scaleData && scaleData.weight !== undefined ? parseFloat(scaleData.weight) : NaN;
+
+  // Track min/max/peak of the gross weight for the current session
+  useEffect(() => {
+    if (!isNaN(gross)) {
+      setStats((prev) => updateWeightStats(prev, gross));
+    }
+  }, [scaleData]);
+
+  // The statistics change with almost every reading, so they are stored with
+  // the tare, when the page is left and when the browser hides it, instead of
+  // on every poll
+  const saveWeighing = () => saveStored('weighing', { tareWeight, showNet, stats: statsRef.current });
+  const saveWeighingRef = useRef(saveWeighing);
+  saveWeighingRef.current = saveWeighing;
+
+  useEffect(() => {
+    saveWeighing();
+  }, [tareWeight, showNet]);
+
+  useEffect(() => {
+    const save = () => saveWeighingRef.current();
+    window.addEventListener('pagehide', save);
+    return () => {
+      window.removeEventListener('pagehide', save);
+      save();
+    };
+  }, []);
+
+  const changeUnit = (newUnit) => setSettings({ ...settings, unit: newUnit, resolution: WEIGHT_UNITS[newUnit].resolutions[0] });
+  const setResolution = (newResolution) => setSettings({ ...settings, resolution: newResolution });
+
+  // Net values are relative to the local tare, the device offset is untouched
+  const display = (kg) => formatWeight(showNet ? kg - tareWeight : kg, unit, resolution);
+  const shownWeight = heldWeight !== null ? heldWeight : gross;
+
+  const styles = useStyles('500px');
+  const { theme, compact, inputStyle } = styles;
+  const containerStyle = { ...styles.containerStyle, backgroundColor: theme.surfaceAlt };
+
+  const readoutStyle = {
+    width: '100%',
+    padding: '15px',
+    marginBottom: '15px',
+    borderRadius: '10px',
+    backgroundColor: theme.readoutBackground,
+    color: heldWeight !== null ? theme.readoutHold : theme.readoutText,
+    border: `1px solid ${theme.border}`,
+    fontFamily: 'monospace',
+    textAlign: 'right',
+    boxSizing: 'border-box',
+  };
+
+  const selectStyle = { ...inputStyle, width: 'auto', marginBottom: 0 };
+
+  return (
+    <div style={containerStyle}>
+      <h1>ESP NOW Weight Scale</h1>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '15px' }} role="status">
+        <span style={{ fontSize: '24px' }} aria-hidden="true">
+          {level === 'normal' ? '🟢' : level === 'warning' ? '🟡' : '🔴'}
+        </span>
+        <p>
+          Status:{' '}
+          <strong style={{ color: level === 'normal' ? theme.success : level === 'warning' ? theme.caution : theme.danger }}>
+            {level === 'normal' ? 'Normal' : level === 'warning' ? 'Low Battery' : 'Critical Battery'}
+          </strong>
+        </p>
+      </div>
+      {scaleData && scaleData.weight !== undefined && (
+        <div style={{ width: '100%', textAlign: 'left' }}>
+          <div style={readoutStyle}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '14px' }}>
+              <span>{showNet ? 'NET' : 'GROSS'}{heldWeight !== null && ' · HOLD'}{cached && ' · LAST KNOWN'}</span>
+              <StabilityIndicator stability={stability} />
+            </div>
+            <div style={{ fontSize: compact ? '40px' : '48px' }} aria-live="off" aria-label="Weight">
+              {display(shownWeight)} <span style={{ fontSize: '24px' }}>{unit}</span>
+            </div>
+            <SettledAnnouncement text={`${showNet ? 'Net' : 'Gross'} ${display(shownWeight)} ${unit}`} stable={stability.stable || heldWeight !== null} />
+            {showNet && (
+              <div style={{ fontSize: '14px' }}>Tare: {formatWeight(tareWeight, unit, resolution)} {unit}</div>
+            )}
+            {cached && (
+              <div style={{ fontSize: '14px' }}>Last known reading from {new Date(timestamp).toLocaleString()}</div>
+            )}
+          </div>
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '15px' }}>
+            <Button aria-pressed={heldWeight !== null} onClick={() => setHeldWeight(heldWeight !== null ? null : gross)} disabled={isNaN(gross)}>
+              {heldWeight !== null ? 'Release Hold' : 'Hold'}
+            </Button>
+            <Button
+              onClick={() => {
+                setTareWeight(gross);
+                setShowNet(true);
+              }}
+              disabled={isNaN(gross)}
+            >
+              Tare (local)
+            </Button>
+            <Button onClick={() => setShowNet(!showNet)}>
+              Show {showNet ? 'Gross' : 'Net'}
+            </Button>
+            <Button
+              variant="secondary"
+              onClick={() => {
+                setTareWeight(0);
+                setShowNet(false);
+              }}
+            >
+              Clear Tare
+            </Button>
+          </div>
+
+          <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '15px' }}>
+            <label htmlFor="home-unit">Unit:</label>
+            <select id="home-unit" style={selectStyle} value={unit} onChange={(e) => changeUnit(e.target.value)}>
+              {Object.keys(WEIGHT_UNITS).map((u) => <option key={u} value={u}>{u}</option>)}
+            </select>
+            <label htmlFor="home-resolution">Resolution:</label>
+            <select id="home-resolution" style={selectStyle} value={resolution} onChange={(e) => setResolution(parseFloat(e.target.value))}>
+              {WEIGHT_UNITS[unit].resolutions.map((r) => <option key={r} value={r}>{r} {unit}</option>)}
+            </select>
+          </div>
+
+          <h2>Session Statistics</h2>
+          {stats ? (
+            <div>
+              <p>
+                <strong>Min:</strong> {display(stats.min)} {unit} | <strong>Max:</strong> {display(stats.max)} {unit} |{' '}
+                <strong>Peak:</strong> {display(stats.peak)} {unit}
+              </p>
+              <p style={{ fontSize: '12px' }}>Since {new Date(stats.since).toLocaleString()}</p>
+            </div>
+          ) : (
+            <p>No readings yet.</p>
+          )}
+          <Button variant="secondary" onClick={() => setStats(null)}>Reset Statistics</Button>
+
+          <h2>Measurement Data</h2>
+          <p><strong>Weight:</strong> {parseFloat(scaleData.weight).toFixed(decimals)} kg</p>
+          <p><strong>Battery Level:</strong> {scaleData.battery !== undefined ? `${parseFloat(scaleData.battery).toFixed(decimals)} V` : '---'}</p>
+          <p><strong>VDD33 (ROM PHY):</strong> {scaleData.rom_phy_get_vdd33}</p>
+        </div>
+      )}
+      <div style={{ marginTop: '15px' }}>
+        <Button
+          variant="secondary"
+          onClick={() => {
+            api.getWeightReal(node)
+              .then((data) => telemetry.ingest('status', data))
+              .catch((err) => console.error('Error fetching weight:', err));
+          }}
+        >
+          Refresh Data
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+// ---------------------
+// Piece Counting Page
+// ---------------------
+// Counts pieces from the net weight and an average piece weight, sampled from
+// N reference pieces or loaded from a saved part profile. The resolution used
+// for the warnings is the display resolution or the measured noise of the
+// raw readings, whichever is larger.
+const CountingPage = () => {
+  const { data: scaleData } = useTelemetrySample('status');
+  const { data: rawData } = useTelemetrySample('raw');
+  const weights = useSignalHistory('weight', STABILITY_WINDOW);
+  const stability = useStability();
+  const [settings] = useSettings();
+  const { unit, resolution } = settings;
+  const storedCounting = useRef(loadStored('counting', {}) || {}).current;
+  const [tareWeight, setTareWeight] = useState(storedCounting.tareWeight || 0);            // Local tare in kg
+  const [sampleSize, setSampleSize] = useState(storedCounting.sampleSize || COUNTING_DEFAULT_SAMPLE_SIZE);
+  const [sample, setSample] = useState(storedCounting.sample || null);                    // { pieces, weight (kg), pieceWeight (kg), part }
+  const [profileName, setProfileName] = useState('');
+  const [partProfiles, setPartProfiles] = useStoredState('partProfiles', { profiles: [] });
+  const [message, setMessage] = useState('');
+  const { theme, compact, containerStyle, sectionStyle, inputStyle, errorStyle } = useStyles('600px');
+
+  useEffect(() => {
+    saveStored('counting', { tareWeight, sampleSize, sample });
+  }, [tareWeight, sampleSize, sample]);
+
+  const gross = scaleData && scaleData.weight !== undefined ? parseFloat(scaleData.weight) : NaN;
+  const net = gross - tareWeight;
+  const count = sample ? countPieces(net, sample.pieceWeight) : null;
+
+  const scale = rawData ? parseFloat(rawData.current_scale) : NaN;
+  const noiseKg = stability.stdDev !== null && scale > 0 ? stability.stdDev / scale / 1000 : 0;
+  const resolutionKg = Math.max(resolution / WEIGHT_UNITS[unit].perKg, noiseKg);
+  const warnings = sample ? samplingWarnings(sample.weight, sample.pieceWeight, resolutionKg) : [];
+
+  // Averages the weight readings of the window the stability check has just
+  // validated (STABILITY_WINDOW), so readings from before the load settled
+  // are left out
+  const takeSample = () => {
+    const pieces = parseInt(sampleSize, 10);
+    if (!(pieces > 0)) {
+      setMessage('Enter the number of pieces on the scale');
+      return;
+    }
+    const now = Date.now();
+    const settled = weights.filter((pt) => now - pt.time <= STABILITY_WINDOW);
+    if (!stability.stable || settled.length === 0) {
+      setMessage('Reading is not stable yet, wait before sampling');
+      return;
+    }
+    const meanKg = settled.reduce((sum, pt) => sum + pt.value, 0) / settled.length - tareWeight;
+    const pieceWeight = pieceWeightFromSample(meanKg, pieces);
+    if (pieceWeight === null) {
+      setMessage('Place the sample pieces on the scale first');
+      return;
+    }
+    setSample({ pieces, weight: meanKg, pieceWeight, part: null });
+    setMessage(`Sampled ${pieces} pieces, ${formatWeight(pieceWeight, unit, resolution / 100)} ${unit} per piece`);
+  };
+
+  const saveProfile = () => {
+    const name = profileName.trim();
+    if (!name || !sample) return;
+    const exists = partProfiles.profiles.some((p) => p.name === name);
+    if (exists && !window.confirm(`Replace the part profile "${name}"?`)) return;
+    const profile = { name, pieceWeight: sample.pieceWeight, pieces: sample.pieces, sampleWeight: sample.weight, savedAt: new Date().toISOString() };
+    setPartProfiles({ profiles: [...partProfiles.profiles.filter((p) => p.name !== name), profile] });
+    setSample({ ...sample, part: name });
+    setProfileName('');
+    setMessage(`Part profile "${name}" saved`);
+  };
+
+  const loadProfile = (profile) => {
+    setSample({ pieces: profile.pieces, weight: profile.sampleWeight, pieceWeight: profile.pieceWeight, part: profile.name });
+    setMessage(`Loaded part profile "${profile.name}"`);
+  };
+
+  const deleteProfile = (name) => {
+    if (!window.confirm(`Delete the part profile "${name}"?`)) return;
+    setPartProfiles({ profiles: partProfiles.profiles.filter((p) => p.name !== name) });
+  };
+
+  const readoutStyle = {
+    width: '100%',
+    padding: '15px',
+    marginBottom: '15px',
+    borderRadius: '10px',
+    backgroundColor: theme.readoutBackground,
+    color: theme.readoutText,
+    border: `1px solid ${theme.border}`,
+    fontFamily: 'monospace',
+    textAlign: 'right',
+    boxSizing: 'border-box',
+  };
+
+  return (
+    <div style={containerStyle}>
+      <h1>Piece Counting</h1>
+
+      <div style={readoutStyle}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '14px' }}>
+          <span>{sample && sample.part ? sample.part : 'PCS'}</span>
+          <StabilityIndicator stability={stability} />
+        </div>
+        <div style={{ fontSize: compact ? '40px' : '48px' }} aria-live="off" aria-label="Piece count">
+          {count !== null ? count : '---'} <span style={{ fontSize: '24px' }}>pcs</span>
+        </div>
+        {count !== null && <SettledAnnouncement text={`${count} pieces`} stable={stability.stable} />}
+        <div style={{ fontSize: '14px' }}>
+          Net {formatWeight(net, unit, resolution)} {unit}
+          {sample && ` · ${formatWeight(sample.pieceWeight, unit, resolution / 100)} ${unit}/pc`}
+        </div>
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Container</h2>
+        <p>Tare: {formatWeight(tareWeight, unit, resolution)} {unit}</p>
+        <Button onClick={() => setTareWeight(gross)} disabled={isNaN(gross)}>Tare (local)</Button>
+        <Button variant="secondary" onClick={() => setTareWeight(0)}>Clear Tare</Button>
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Sample Pieces</h2>
+        <p>Place a counted number of pieces on the scale and sample them once the reading is stable.</p>
+        <label htmlFor="counting-sample-size">Pieces in the sample:</label>
+        <input
+          id="counting-sample-size"
+          style={inputStyle}
+          type="number"
+          min="1"
+          value={sampleSize}
+          onChange={(e) => setSampleSize(e.target.value)}
+        />
+        <Button onClick={takeSample} disabled={!stability.stable}>
+          {stability.stable ? `Sample ${sampleSize} Pieces` : 'Sample (waiting for stable reading)'}
+        </Button>
+        {sample && (
+          <p>
+            Piece weight: {formatWeight(sample.pieceWeight, unit, resolution / 100)} {unit} from {sample.pieces} pieces
+            ({formatWeight(sample.weight, unit, resolution)} {unit})
+          </p>
+        )}
+        <p style={{ fontSize: '12px' }}>Resolution used for the checks: {formatWeight(resolutionKg, unit, resolution / 100)} {unit}</p>
+        {warnings.map((warning) => (
+          <p key={warning} role="alert" style={errorStyle}>
+            <span aria-hidden="true">⚠</span> {warning}
+          </p>
+        ))}
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Part Profiles</h2>
+        <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+          <input
+            style={{ ...inputStyle, marginBottom: 0 }}
+            type="text"
+            placeholder="Part name"
+            aria-label="Part name"
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+          />
+          <Button style={{ margin: 0, whiteSpace: 'nowrap' }} onClick={saveProfile} disabled={!sample || profileName.trim() === ''}>
+            Save Profile
+          </Button>
+        </div>
+        {partProfiles.profiles.length === 0 ? (
+          <p>No part profiles saved yet.</p>
+        ) : (
+          <ul style={{ listStyle: 'none', padding: 0 }}>
+            {partProfiles.profiles.map((profile) => (
+              <li key={profile.name} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px', marginBottom: '5px' }}>
+                <span>
+                  <strong>{profile.name}</strong>: {formatWeight(profile.pieceWeight, unit, resolution / 100)} {unit}/pc
+                  {' '}({profile.pieces} pieces sampled)
+                </span>
+                <span>
+                  <Button size="small" onClick={() => loadProfile(profile)}>Load</Button>{' '}
+                  <Button size="small" variant="danger" onClick={() => deleteProfile(profile.name)}>Delete</Button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {message && <StatusMessage>{message}</StatusMessage>}
+    </div>
+  );
+};
+
+// ---------------------
+// Checkweigher Page
+// ---------------------
+// Judges each item against the target band. With auto capture an item is
+// recorded once the reading settles above the empty threshold, and the next
+// one only after the platform has returned to empty.
+const CheckweigherPage = () => {
+  const { data: scaleData } = useTelemetrySample('status');
+  const weights = useSignalHistory('weight', CHECKWEIGHER_CAPTURE_WINDOW);
+  const stability = useStability();
+  const [config, setConfig] = useStoredState('checkweigher', DEFAULT_CHECKWEIGHER_SETTINGS);
+  const storedBatch = useRef(loadStored('checkweigherBatch', {}) || {}).current;
+  const [batch, setBatch] = useState({ startedAt: storedBatch.startedAt || new Date().toISOString(), items: storedBatch.items || [] });
+  const [tareWeight, setTareWeight] = useState(storedBatch.tareWeight || 0);   // Local tare in kg
+  const [armed, setArmed] = useState(true);   // false after a capture until the platform is empty again
+  const { theme, compact, containerStyle, sectionStyle, inputStyle, cellStyle } = useStyles('800px');
+
+  useEffect(() => {
+    saveStored('checkweigherBatch', { ...batch, tareWeight });
+  }, [batch, tareWeight]);
+
+  const gross = scaleData && scaleData.weight !== undefined ? parseFloat(scaleData.weight) : NaN;
+  const net = gross - tareWeight;
+  const emptyKg = config.emptyBelow / WEIGHT_UNITS[config.unit].perKg;
+  const loaded = Number.isFinite(net) && net >= emptyKg;
+  const live = loaded ? classifyWeight(net, config) : null;
+  const stats = checkweigherStats(batch.items, config.unit);
+
+  const capture = () => {
+    if (weights.length === 0) return;
+    const weight = weights.reduce((sum, pt) => sum + pt.value, 0) / weights.length - tareWeight;
+    const time = Date.now();
+    const item = { id: `${time.toString(36)}-${Math.random().toString(36).slice(2, 8)}`, time, weight, result: classifyWeight(weight, config) };
+    setBatch((prev) => ({ ...prev, items: [...prev.items, item] }));
+    setArmed(false);
+  };
+
+  // Auto capture: settle above the empty threshold, then wait for empty
+  useEffect(() => {
+    if (!loaded) {
+      if (!armed) setArmed(true);
+      return;
+    }
+    if (config.autoCapture && armed && stability.stable) capture();
+  }, [scaleData, stability.stable, loaded, armed, config.autoCapture, tareWeight]);
+
+  const updateConfig = (key, value) => setConfig({ ...config, [key]: value });
+  const numberInput = (key, label) => (
+    <div style={{ flex: '1 1 120px' }}>
+      <label htmlFor={`checkweigher-${key}`}>{label} ({config.unit}):</label>
+      <input
+        id={`checkweigher-${key}`}
+        style={inputStyle}
+        type="number"
+        step="any"
+        value={config[key]}
+        onChange={(e) => {
+          const value = parseFloat(e.target.value);
+          if (Number.isFinite(value) && value >= 0) updateConfig(key, value);
+        }}
+      />
+    </div>
+  );
+
+  const undoLast = () => setBatch((prev) => ({ ...prev, items: prev.items.slice(0, -1) }));
+
+  const newBatch = () => {
+    if (batch.items.length > 0 && !window.confirm('Start a new batch? The statistics of the current batch are cleared.')) return;
+    setBatch({ startedAt: new Date().toISOString(), items: [] });
+    setArmed(!loaded);
+  };
+
+  const round = (value) => (value === null ? '' : value.toFixed(3));
+  const exportCsv = () => {
+    const summary = toCsv(['statistic', 'value'], [
+      { statistic: 'batch_started', value: batch.startedAt },
+      { statistic: 'exported', value: new Date().toISOString() },
+      { statistic: 'unit', value: config.unit },
+      { statistic: 'target', value: config.target },
+      { statistic: 'under_tolerance', value: config.underTolerance },
+      { statistic: 'over_tolerance', value: config.overTolerance },
+      { statistic: 'count', value: stats.count },
+      { statistic: 'mean', value: round(stats.mean) },
+      { statistic: 'std_dev', value: round(stats.stdDev) },
+      { statistic: 'min', value: round(stats.min) },
+      { statistic: 'max', value: round(stats.max) },
+      { statistic: 'under', value: stats.counts.under },
+      { statistic: 'ok', value: stats.counts.ok },
+      { statistic: 'over', value: stats.counts.over },
+      { statistic: 'reject_rate_percent', value: stats.rejectRate === null ? '' : stats.rejectRate.toFixed(2) },
+    ]);
+    const items = toCsv(['item', 'time', 'weight', 'result'], batch.items.map((item, idx) => ({
+      item: idx + 1,
+      time: new Date(item.time).toISOString(),
+      weight: convertWeight(item.weight, config.unit).toFixed(3),
+      result: item.result.toUpperCase(),
+    })));
+    downloadFile(`checkweigher-batch-${fileTimestamp()}.csv`, `${summary}\n\n${items}`, 'text/csv');
+  };
+
+  const resultColors = { under: theme.caution, ok: theme.success, over: theme.danger };
+  const displayStyle = {
+    width: '100%',
+    padding: compact ? '15px' : '25px',
+    marginBottom: '15px',
+    borderRadius: '10px',
+    textAlign: 'center',
+    boxSizing: 'border-box',
+    backgroundColor: live ? resultColors[live] : theme.surfaceAlt,
+    color: live === 'under' ? theme.onCaution : live ? theme.onColor : theme.text,
+  };
+
+  return (
+    <div style={containerStyle}>
+      <h1>Checkweigher</h1>
+
+      <div style={displayStyle}>
+        <div style={{ fontSize: compact ? '56px' : '80px', fontWeight: 'bold', lineHeight: 1.1 }} aria-live="polite" aria-atomic="true" aria-label="Check result">
+          {live ? live.toUpperCase() : 'EMPTY'}
+        </div>
+        <div style={{ fontSize: '28px', fontFamily: 'monospace' }}>
+          {formatWeight(net, config.unit, WEIGHT_UNITS[config.unit].resolutions[0])} {config.unit}
+        </div>
+        <div style={{ fontSize: '14px', marginTop: '5px' }}>
+          Target {config.target} {config.unit} (−{config.underTolerance} / +{config.overTolerance})
+          {' · '}
+          {!loaded ? 'Place the next item' : armed ? (stability.stable ? 'Settled' : 'Settling…') : 'Captured, remove the item'}
+        </div>
+      </div>
+      <p><StabilityIndicator stability={stability} /></p>
+
+      <div style={sectionStyle}>
+        <h2>Target & Tolerances</h2>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px' }}>
+          <div style={{ flex: '1 1 120px' }}>
+            <label htmlFor="checkweigher-unit">Unit:</label>
+            <select id="checkweigher-unit" style={inputStyle} value={config.unit} onChange={(e) => setConfig(convertCheckweigherUnit(config, e.target.value))}>
+              {Object.keys(WEIGHT_UNITS).map((u) => <option key={u} value={u}>{u}</option>)}
+            </select>
+          </div>
+          {numberInput('target', 'Target')}
+          {numberInput('underTolerance', 'Under tolerance')}
+          {numberInput('overTolerance', 'Over tolerance')}
+          {numberInput('emptyBelow', 'Empty below')}
+        </div>
+        <label>
+          <input type="checkbox" checked={config.autoCapture} onChange={(e) => updateConfig('autoCapture', e.target.checked)} />
+          {' '}Capture items automatically when the reading settles
+        </label>
+        <div>
+          <Button onClick={() => setTareWeight(gross)} disabled={isNaN(gross)}>Tare (local)</Button>
+          <Button variant="secondary" onClick={() => setTareWeight(0)} disabled={tareWeight === 0}>Clear Tare</Button>
+          <Button onClick={capture} disabled={!loaded || !stability.stable}>Capture Now</Button>
+        </div>
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Batch Statistics</h2>
+        <p style={{ fontSize: '12px' }}>Batch started {new Date(batch.startedAt).toLocaleString()}</p>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+          <tbody>
+            <tr><td style={{ ...cellStyle, textAlign: 'left' }}>Count</td><td style={cellStyle}>{stats.count}</td></tr>
+            <tr><td style={{ ...cellStyle, textAlign: 'left' }}>Mean</td><td style={cellStyle}>{stats.mean !== null ? `${stats.mean.toFixed(3)} ${config.unit}` : '–'}</td></tr>
+            <tr><td style={{ ...cellStyle, textAlign: 'left' }}>Std dev</td><td style={cellStyle}>{stats.stdDev !== null ? `${stats.stdDev.toFixed(3)} ${config.unit}` : '–'}</td></tr>
+            <tr><td style={{ ...cellStyle, textAlign: 'left' }}>Min / Max</td><td style={cellStyle}>{stats.min !== null ? `${stats.min.toFixed(3)} / ${stats.max.toFixed(3)} ${config.unit}` : '–'}</td></tr>
+            <tr><td style={{ ...cellStyle, textAlign: 'left' }}>Under / OK / Over</td><td style={cellStyle}>{stats.counts.under} / {stats.counts.ok} / {stats.counts.over}</td></tr>
+            <tr><td style={{ ...cellStyle, textAlign: 'left' }}>Reject rate</td><td style={cellStyle}>{stats.rejectRate !== null ? `${stats.rejectRate.toFixed(1)} %` : '–'}</td></tr>
+          </tbody>
+        </table>
+        <Button variant="secondary" onClick={exportCsv} disabled={batch.items.length === 0}>Export CSV Report</Button>
+        <Button variant="secondary" onClick={undoLast} disabled={batch.items.length === 0}>Undo Last Item</Button>
+        <Button variant="danger" onClick={newBatch}>New Batch</Button>
+      </div>
+
+      {batch.items.length > 0 && (
+        <div style={sectionStyle}>
+          <h2>Last Items</h2>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+            <thead>
+              <tr>
+                <th style={cellStyle}>#</th>
+                <th style={cellStyle}>Time</th>
+                <th style={cellStyle}>Weight ({config.unit})</th>
+                <th style={cellStyle}>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {batch.items.slice(-10).reverse().map((item, idx) => (
+                <tr key={item.id}>
+                  <td style={cellStyle}>{batch.items.length - idx}</td>
+                  <td style={cellStyle}>{new Date(item.time).toLocaleTimeString()}</td>
+                  <td style={cellStyle}>{convertWeight(item.weight, config.unit).toFixed(3)}</td>
+                  <td style={{ ...cellStyle, color: resultColors[item.result], fontWeight: 'bold' }}>{item.result.toUpperCase()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ---------------------
+// Recipe Page
+// ---------------------
+// Defines recipes and guides a batch ingredient by ingredient. Each step
+// starts with a local tare (the device offset is untouched), so the reading
+// shows only the ingredient being added. Finished batches are logged with the
+// actual amounts.
+const RecipePage = () => {
+  const { data: scaleData } = useTelemetrySample('status');
+  const stability = useStability();
+  const [stored, setStored] = useStoredState('recipes', { recipes: [] });
+  const [run, setRun] = useState(() => loadStored('recipeRun', null));   // batch in progress
+  const [batches, setBatches] = useState(() => loadStored('recipeBatches', []));
+  const [draft, setDraft] = useState(null);                              // recipe being edited
+  const [selectedId, setSelectedId] = useState('');
+  const [batchSize, setBatchSize] = useState('');
+  const [message, setMessage] = useState('');
+  const { theme, compact, containerStyle, sectionStyle, inputStyle, cellStyle } = useStyles('800px');
+
+  useEffect(() => {
+    saveStored('recipeRun', run);
+  }, [run]);
+
+  const gross = scaleData && scaleData.weight !== undefined ? parseFloat(scaleData.weight) : NaN;
+  const selected = stored.recipes.find((r) => r.id === selectedId) || null;
+
+  // Recipe editor
+  const newRecipe = () => setDraft({ id: '', name: '', unit: 'g', tolerance: RECIPE_DEFAULT_TOLERANCE, ingredients: [{ name: '', amount: '' }] });
+  const editRecipe = (recipe) => setDraft({ ...recipe, ingredients: recipe.ingredients.map((ing) => ({ ...ing })) });
+  const updateIngredient = (idx, key, value) => {
+    setDraft({ ...draft, ingredients: draft.ingredients.map((ing, i) => (i === idx ? { ...ing, [key]: value } : ing)) });
+  };
+
+  const saveDraft = () => {
+    const ingredients = draft.ingredients
+      .filter((ing) => ing.name.trim() !== '' || ing.amount !== '')
+      .map((ing) => ({ name: ing.name.trim(), amount: parseFloat(ing.amount) }));
+    if (!draft.name.trim()) {
+      setMessage('Enter a recipe name');
+      return;
+    }
+    if (ingredients.length === 0 || ingredients.some((ing) => !ing.name || !(ing.amount > 0))) {
+      setMessage('Every ingredient needs a name and an amount above zero');
+      return;
+    }
+    const recipe = {
+      ...draft,
+      id: draft.id || Date.now().toString(36),
+      name: draft.name.trim(),
+      tolerance: parseFloat(draft.tolerance) >= 0 ? parseFloat(draft.tolerance) : RECIPE_DEFAULT_TOLERANCE,
+      ingredients,
+    };
+    const exists = stored.recipes.some((r) => r.id === recipe.id);
+    setStored({ recipes: exists ? stored.recipes.map((r) => (r.id === recipe.id ? recipe : r)) : [...stored.recipes, recipe] });
+    setDraft(null);
+    setMessage(`Recipe "${recipe.name}" saved`);
+  };
+
+  const deleteRecipe = (recipe) => {
+    if (!window.confirm(`Delete the recipe "${recipe.name}"?`)) return;
+    setStored({ recipes: stored.recipes.filter((r) => r.id !== recipe.id) });
+    if (selectedId === recipe.id) setSelectedId('');
+  };
+
+  // Batch run
+  const startBatch = () => {
+    const size = batchSize === '' ? recipeTotal(selected) : parseFloat(batchSize);
+    if (!(size > 0)) {
+      setMessage('Enter a batch size above zero');
+      return;
+    }
+    if (!stability.stable) {
+      setMessage('Reading is not stable yet, wait before starting the batch');
+      return;
+    }
+    setRun({
+      recipeName: selected.name,
+      unit: selected.unit,
+      tolerance: selected.tolerance,
+      batchSize: size,
+      startedAt: new Date().toISOString(),
+      step: 0,
+      tareWeight: gross,
+      steps: scaleRecipe(selected, size).map((s) => ({ ...s, actual: null })),
+    });
+    setMessage('');
+  };
+
+  const step = run && run.step < run.steps.length ? run.steps[run.step] : null;
+  const added = run && Number.isFinite(gross) ? convertWeight(gross - run.tareWeight, run.unit) : null;
+  const status = step && added !== null ? ingredientStatus(added, step.target, run.tolerance) : null;
+
+  // Records the added amount and tares for the next ingredient
+  const acceptStep = () => {
+    if (!stability.stable) {
+      setMessage('Reading is not stable yet, wait before accepting');
+      return;
+    }
+    if (status !== 'ok' && !window.confirm(`${step.name} is ${status} its target (${added.toFixed(2)} of ${step.target.toFixed(2)} ${run.unit}). Accept anyway?`)) return;
+    const steps = run.steps.map((s, i) => (i === run.step ? { ...s, actual: added } : s));
+    const next = { ...run, steps, step: run.step + 1, tareWeight: gross };
+    if (next.step < steps.length) {
+      setRun(next);
+      return;
+    }
+    const batch = { ...next, finishedAt: new Date().toISOString() };
+    delete batch.step;
+    delete batch.tareWeight;
+    const newBatches = [batch, ...batches].slice(0, MAX_RECIPE_BATCHES);
+    saveStored('recipeBatches', newBatches);
+    setBatches(newBatches);
+    setRun(null);
+    setMessage(`Batch of ${batch.recipeName} finished and logged`);
+  };
+
+  const retare = () => setRun({ ...run, tareWeight: gross });
+
+  const abortBatch = () => {
+    if (!window.confirm('Abort the batch in progress? It will not be logged.')) return;
+    setRun(null);
+  };
+
+  const clearLog = () => {
+    if (!window.confirm('Delete all logged batches?')) return;
+    saveStored('recipeBatches', []);
+    setBatches([]);
+  };
+
+  const exportCsv = () => {
+    const rows = [];
+    batches.forEach((batch) => {
+      batch.steps.forEach((s) => {
+        rows.push({
+          recipe: batch.recipeName,
+          started: batch.startedAt,
+          finished: batch.finishedAt,
+          batch_size: batch.batchSize,
+          unit: batch.unit,
+          ingredient: s.name,
+          target: s.target.toFixed(3),
+          actual: s.actual !== null ? s.actual.toFixed(3) : '',
+          deviation_percent: s.actual !== null && s.target > 0 ? (((s.actual - s.target) / s.target) * 100).toFixed(2) : '',
+        });
+      });
+    });
+    const columns = ['recipe', 'started', 'finished', 'batch_size', 'unit', 'ingredient', 'target', 'actual', 'deviation_percent'];
+    downloadFile(`recipe-batches-${fileTimestamp()}.csv`, toCsv(columns, rows), 'text/csv');
+  };
+
+  const exportJson = () => {
+    downloadFile(`recipe-batches-${fileTimestamp()}.json`, JSON.stringify({ exportedAt: new Date().toISOString(), batches }, null, 2), 'application/json');
+  };
+
+  const statusColors = { under: theme.primary, ok: theme.success, over: theme.danger };
+  const progress = step && added !== null && step.target > 0 ? Math.max(0, added / step.target) : 0;
+  const barStyle = {
+    width: '100%',
+    height: compact ? '28px' : '24px',
+    borderRadius: '5px',
+    backgroundColor: theme.surfaceAlt,
+    border: `1px solid ${theme.border}`,
+    overflow: 'hidden',
+    margin: '10px 0',
+  };
+
+  return (
+    <div style={containerStyle}>
+      <h1>Recipes</h1>
+
+      {run ? (
+        <div style={{ ...sectionStyle, border: `2px solid ${theme.primary}` }}>
+          <h2>{run.recipeName}: batch of {run.batchSize} {run.unit}</h2>
+          <ol>
+            {run.steps.map((s, idx) => (
+              <li key={idx} style={{ fontWeight: idx === run.step ? 'bold' : 'normal' }} aria-current={idx === run.step ? 'step' : undefined}>
+                {s.name}: {s.target.toFixed(2)} {run.unit}
+                {s.actual !== null && ` (added ${s.actual.toFixed(2)} ${run.unit})`}
+              </li>
+            ))}
+          </ol>
+          {step && (
+            <>
+              <h3>Add {step.name}</h3>
+              <div style={{ fontSize: compact ? '32px' : '40px', fontFamily: 'monospace' }} aria-live="off" aria-label="Added amount">
+                {added !== null ? added.toFixed(2) : '---'} / {step.target.toFixed(2)} {run.unit}
+              </div>
+              {added !== null && (
+                <SettledAnnouncement text={`${step.name} ${added.toFixed(2)} of ${step.target.toFixed(2)} ${run.unit}, ${status === 'ok' ? 'within tolerance' : status}`} stable={stability.stable} />
+              )}
+              <div
+                style={barStyle}
+                role="progressbar"
+                aria-label={`${step.name} added`}
+                aria-valuemin={0}
+                aria-valuemax={Math.round(step.target * 100) / 100}
+                aria-valuenow={added !== null ? Math.round(added * 100) / 100 : 0}
+              >
+                <div style={{ width: `${Math.min(100, progress * 100)}%`, height: '100%', backgroundColor: statusColors[status] || theme.primary }} />
+              </div>
+              <p>
+                {status === 'under' && `Add ${(step.target - added).toFixed(2)} ${run.unit} more`}
+                {status === 'ok' && 'Within tolerance'}
+                {status === 'over' && `${(added - step.target).toFixed(2)} ${run.unit} over the target`}
+                {' '}(±{run.tolerance} %) <StabilityIndicator stability={stability} />
+              </p>
+              <Button onClick={acceptStep} disabled={!stability.stable || added === null}>
+                {run.step + 1 < run.steps.length ? 'Accept & Next Ingredient' : 'Accept & Finish Batch'}
+              </Button>
+              <Button variant="secondary" onClick={retare} disabled={isNaN(gross) || !stability.stable}>Re-tare Step</Button>
+              <Button variant="danger" onClick={abortBatch}>Abort Batch</Button>
+            </>
+          )}
+        </div>
+      ) : (
+        <div style={sectionStyle}>
+          <h2>Start a Batch</h2>
+          {stored.recipes.length === 0 ? (
+            <p>Create a recipe below first.</p>
+          ) : (
+            <>
+              <label htmlFor="recipe-select">Recipe:</label>
+              <select id="recipe-select" style={inputStyle} value={selectedId} onChange={(e) => { setSelectedId(e.target.value); setBatchSize(''); }}>
+                <option value="">Choose a recipe</option>
+                {stored.recipes.map((r) => <option key={r.id} value={r.id}>{r.name}</option>)}
+              </select>
+              {selected && (
+                <>
+                  <label htmlFor="recipe-batch-size">Batch size ({selected.unit}, recipe total {recipeTotal(selected)}):</label>
+                  <input
+                    id="recipe-batch-size"
+                    style={inputStyle}
+                    type="number"
+                    min="0"
+                    step="any"
+                    placeholder={String(recipeTotal(selected))}
+                    value={batchSize}
+                    onChange={(e) => setBatchSize(e.target.value)}
+                  />
+                  <ul>
+                    {scaleRecipe(selected, batchSize === '' ? recipeTotal(selected) : parseFloat(batchSize) || 0).map((s, idx) => (
+                      <li key={idx}>{s.name}: {s.target.toFixed(2)} {selected.unit}</li>
+                    ))}
+                  </ul>
+                  <p style={{ fontSize: '12px' }}>Place the empty container on the scale; it is tared when the batch starts.</p>
+                  <Button onClick={startBatch} disabled={isNaN(gross) || !stability.stable}>
+                    {stability.stable ? 'Start Batch' : 'Start Batch (waiting for stable reading)'}
+                  </Button>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      <div style={sectionStyle}>
+        <h2>Recipes</h2>
+        {stored.recipes.length > 0 && (
+          <ul style={{ listStyle: 'none', padding: 0 }}>
+            {stored.recipes.map((recipe) => (
+              <li key={recipe.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px', marginBottom: '5px' }}>
+                <span>
+                  <strong>{recipe.name}</strong>: {recipe.ingredients.map((ing) => `${ing.name} ${ing.amount} ${recipe.unit}`).join(', ')}
+                </span>
+                <span>
+                  <Button size="small" onClick={() => editRecipe(recipe)} disabled={!!draft}>Edit</Button>{' '}
+                  <Button size="small" variant="danger" onClick={() => deleteRecipe(recipe)}>Delete</Button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+        {draft ? (
+          <div>
+            <label htmlFor="recipe-name">Name:</label>
+            <input id="recipe-name" style={inputStyle} type="text" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+            <div style={{ display: 'flex', gap: '10px' }}>
+              <div style={{ flex: 1 }}>
+                <label htmlFor="recipe-unit">Unit:</label>
+                <select id="recipe-unit" style={inputStyle} value={draft.unit} onChange={(e) => setDraft({ ...draft, unit: e.target.value })}>
+                  {Object.keys(WEIGHT_UNITS).map((u) => <option key={u} value={u}>{u}</option>)}
+                </select>
+              </div>
+              <div style={{ flex: 1 }}>
+                <label htmlFor="recipe-tolerance">Tolerance (%):</label>
+                <input
+                  id="recipe-tolerance"
+                  style={inputStyle}
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={draft.tolerance}
+                  onChange={(e) => setDraft({ ...draft, tolerance: e.target.value })}
+                />
+              </div>
+            </div>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+              <thead>
+                <tr>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>Ingredient</th>
+                  <th style={cellStyle}>Amount ({draft.unit})</th>
+                  <th style={cellStyle}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {draft.ingredients.map((ing, idx) => (
+                  <tr key={idx}>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>
+                      <input
+                        style={{ ...inputStyle, marginBottom: 0 }}
+                        type="text"
+                        aria-label={`Ingredient ${idx + 1} name`}
+                        value={ing.name}
+                        onChange={(e) => updateIngredient(idx, 'name', e.target.value)}
+                      />
+                    </td>
+                    <td style={cellStyle}>
+                      <input
+                        style={{ ...inputStyle, marginBottom: 0 }}
+                        type="number"
+                        min="0"
+                        step="any"
+                        aria-label={`Ingredient ${idx + 1} amount`}
+                        value={ing.amount}
+                        onChange={(e) => updateIngredient(idx, 'amount', e.target.value)}
+                      />
+                    </td>
+                    <td style={cellStyle}>
+                      <Button
+                        size="small"
+                        variant="secondary"
+                        onClick={() => setDraft({ ...draft, ingredients: draft.ingredients.filter((_, i) => i !== idx) })}
+                        disabled={draft.ingredients.length === 1}
+                      >
+                        Remove
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <Button variant="secondary" onClick={() => setDraft({ ...draft, ingredients: [...draft.ingredients, { name: '', amount: '' }] })}>
+              Add Ingredient
+            </Button>
+            <Button onClick={saveDraft}>Save Recipe</Button>
+            <Button variant="secondary" onClick={() => setDraft(null)}>Cancel</Button>
+          </div>
+        ) : (
+          <Button onClick={newRecipe}>New Recipe</Button>
+        )}
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Batch Log</h2>
+        {batches.length === 0 ? (
+          <p>No batches logged yet.</p>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+            <thead>
+              <tr>
+                <th style={{ ...cellStyle, textAlign: 'left' }}>Finished</th>
+                <th style={{ ...cellStyle, textAlign: 'left' }}>Recipe</th>
+                <th style={cellStyle}>Batch size</th>
+                <th style={cellStyle}>Max deviation</th>
+              </tr>
+            </thead>
+            <tbody>
+              {batches.slice(0, 20).map((batch) => {
+                const deviations = batch.steps.filter((s) => s.actual !== null && s.target > 0).map((s) => Math.abs((s.actual - s.target) / s.target) * 100);
+                return (
+                  <tr key={batch.finishedAt}>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>{new Date(batch.finishedAt).toLocaleString()}</td>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>{batch.recipeName}</td>
+                    <td style={cellStyle}>{batch.batchSize} {batch.unit}</td>
+                    <td style={cellStyle}>{deviations.length > 0 ? `${Math.max(...deviations).toFixed(2)} %` : '–'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+        <Button variant="secondary" onClick={exportCsv} disabled={batches.length === 0}>Export CSV</Button>
+        <Button variant="secondary" onClick={exportJson} disabled={batches.length === 0}>Export JSON</Button>
+        <Button variant="danger" onClick={clearLog} disabled={batches.length === 0}>Clear Log</Button>
+      </div>
+
+      {message && <StatusMessage>{message}</StatusMessage>}
+    </div>
+  );
+};
+
+// ---------------------
+// Battery Monitor Page with Live Plotting
+// ---------------------
+const BatteryPage = () => {
+  const [settings, setSettings] = useStoredState('batterySettings', DEFAULT_BATTERY_SETTINGS);
+  const node = useSelectedNode();
+  const [batteryLog, setBatteryLog] = useState(() => loadStored(nodeKey('batteryLog', node), []));
+  // History of { time, value } kept by the telemetry store
+  const [appSettings] = useSettings();
+  const vddData = useSignalHistory('vdd33', appSettings.plotDuration);
+  const batteryData = useSignalHistory('battery', appSettings.plotDuration);
+  const currentRom = vddData.length > 0 ? vddData[vddData.length - 1].value : null;
+
+  useEffect(() => {
+    const reload = () => setBatteryLog(loadStored(nodeKey('batteryLog', node), []));
+    window.addEventListener('batteryLogChanged', reload);
+    return () => window.removeEventListener('batteryLogChanged', reload);
+  }, []);
+
+  const curve = getDischargeCurve(settings);
+  const smoothedBattery = smoothSeries(batteryData);
+  const currentVoltage = smoothedBattery.length > 0 ? smoothedBattery[smoothedBattery.length - 1].value : null;
+  const soc = estimateStateOfCharge(currentVoltage, curve);
+  const level = batteryLevel(currentVoltage, settings);
+
+  // Discharge rate from the long-term log when it covers enough time,
+  // otherwise from the live history in the telemetry store
+  const rateWindow = batteryLog.filter((s) => Date.now() - s.time <= BATTERY_RATE_WINDOW);
+  const useLog = rateWindow.length >= 2 && rateWindow[rateWindow.length - 1].time - rateWindow[0].time >= 600000;
+  const rateSamples = useLog ? smoothSeries(rateWindow, BATTERY_LOG_INTERVAL * 5) : smoothedBattery;
+  const voltageRate = slopePerHour(rateSamples);
+  const socRate = slopePerHour(rateSamples.map((s) => ({ time: s.time, value: estimateStateOfCharge(s.value, curve) })));
+  const runtimeHours = soc !== null && socRate !== null && socRate < 0 ? soc / -socRate : null;
+
+  const updateSetting = (key, value) => setSettings({ ...settings, [key]: value });
+
+  const { theme, containerStyle, sectionStyle, inputStyle, errorStyle } = useStyles('600px');
+  const levelColors = { normal: theme.success, warning: theme.caution, critical: theme.danger };
+
+  return (
+    <div style={containerStyle}>
+      <h1>Battery Monitor</h1>
+      <div style={sectionStyle}>
+        <p>
+          <strong>Battery:</strong> {currentVoltage !== null ? `${currentVoltage.toFixed(appSettings.decimals)} V` : 'Loading...'}
+          {soc !== null && ` (${soc.toFixed(0)}%)`}{' '}
+          <span style={{ color: levelColors[level] }}>{level.toUpperCase()}</span>
+        </p>
+        <p><strong>Current ROM VDD33:</strong> {currentRom !== null ? currentRom : 'Loading...'}</p>
+        <p>
+          <strong>Discharge Rate:</strong>{' '}
+          {voltageRate !== null ? `${(voltageRate * 1000).toFixed(1)} mV/h` : 'N/A'}
+          {socRate !== null && ` (${socRate.toFixed(2)} %/h)`}
+        </p>
+        <p>
+          <strong>Estimated Runtime:</strong>{' '}
+          {runtimeHours !== null ? `${runtimeHours.toFixed(1)} h` : 'N/A (not discharging or not enough data)'}
+        </p>
+        <p style={{ fontSize: '12px' }}>
+          Estimated from {useLog ? `${rateWindow.length} logged samples` : 'the live readings'}; the log keeps one sample
+          per {BATTERY_LOG_INTERVAL / 60000} minute while the app is open.
+        </p>
+      </div>
+      <div style={{ width: '100%', marginTop: '20px' }}>
+        <LiveChart
+          series={[
+            { label: 'battery (V)', data: batteryData, color: theme.chartBattery },
+            { label: 'battery smoothed (V)', data: smoothedBattery, color: theme.chartSmoothed },
+            { label: 'rom_phy_get_vdd33', data: vddData, color: theme.chartVoltage, axis: 'y1' },
+          ]}
+          duration={appSettings.plotDuration}
+          axes={{ y: 'Battery (V)', y1: 'VDD33' }}
+          overlayWindow={BATTERY_SMOOTHING}
+          filename="battery"
+        />
+      </div>
+      <div style={{ ...sectionStyle, marginTop: '20px' }}>
+        <h2>Battery Settings</h2>
+        <label>Chemistry:</label>
+        <select style={inputStyle} value={settings.chemistry} onChange={(e) => updateSetting('chemistry', e.target.value)}>
+          {Object.keys(BATTERY_PRESETS).map((key) => (
+            <option key={key} value={key}>{BATTERY_PRESETS[key].label}</option>
+          ))}
+          <option value="custom">Custom curve</option>
+        </select>
+        {settings.chemistry === 'custom' && (
+          <div>
+            <label>Discharge curve (voltage:percent, comma separated):</label>
+            <input
+              style={inputStyle}
+              type="text"
+              placeholder="4.2:100, 3.7:50, 3.3:0"
+              value={settings.customCurve}
+              onChange={(e) => updateSetting('customCurve', e.target.value)}
+            />
+            {!parseDischargeCurve(settings.customCurve) && (
+              <p style={errorStyle}>Invalid curve, using the LiPo preset.</p>
+            )}
+          </div>
+        )}
+        <p>
+          Warning below {settings.warningVoltage} V, critical below {settings.criticalVoltage} V.
+          The thresholds are set on the Settings page.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+// ---------------------
+// Calibration Safety Guards
+// ---------------------
+// Checks a proposed calibration against plausible ranges. Returns a list of
+// problems, empty when the values may be written to the device.
+function validateCalibration(scale, offset) {
+  const s = toNumber(scale), o = toNumber(offset);
+  const problems = [];
+  if (!Number.isFinite(s) || s === 0) {
+    problems.push('Scale must be a non-zero number');
+  } else if (Math.abs(s) < CALIBRATION_LIMITS.minScale || Math.abs(s) > CALIBRATION_LIMITS.maxScale) {
+    problems.push(`Scale ${s} is outside the plausible range ±${CALIBRATION_LIMITS.minScale}…${CALIBRATION_LIMITS.maxScale} counts/g`);
+  }
+  if (!Number.isFinite(o)) {
+    problems.push('Offset must be a number');
+  } else if (Math.abs(o) > CALIBRATION_LIMITS.maxOffset) {
+    problems.push(`Offset ${o} exceeds the ±${CALIBRATION_LIMITS.maxOffset} range of the ADC`);
+  }
+  return problems;
+}
+
+// Differences between the current and a proposed calibration, including the
+// weight (g) the device would report for 'raw' before and after the change.
+function compareCalibrations(current, next, raw) {
+  const percent = (a, b) => (toNumber(a) ? ((toNumber(b) - toNumber(a)) / Math.abs(toNumber(a))) * 100 : null);
+  const weightBefore = simulateWeight(raw, current.scale, current.offset);
+  const weightAfter = simulateWeight(raw, next.scale, next.offset);
+  return {
+    scaleChange: percent(current.scale, next.scale),
+    offsetChange: toNumber(next.offset) - toNumber(current.offset),
+    weightBefore,
+    weightAfter,
+    weightChange: weightBefore !== null && weightAfter !== null ? parseFloat(weightAfter) - parseFloat(weightBefore) : null,
+  };
+}
+
+// Validates and applies a calibration. The values it replaces are kept as a
+// snapshot per node so they can be reverted with one click.
+function applyCalibration({ scale, offset, previousScale, previousOffset, source, node }) {
+  const problems = validateCalibration(scale, offset);
+  if (problems.length > 0) return Promise.reject(new Error(problems.join('; ')));
+  return api.setCalibration(scale, offset, node).then((txt) => {
+    if (previousScale !== '' && previousScale !== undefined && previousScale !== null) {
+      const key = nodeKey('calibrationSnapshot', node);
+      saveStored(key, { scale: previousScale, offset: previousOffset, replacedBy: { scale, offset }, timestamp: new Date().toISOString() });
+      window.dispatchEvent(new CustomEvent('storedStateChanged', { detail: key }));
+    }
+    recordCalibrationHistory({ action: 'apply', scale, offset, previousScale, previousOffset, source, node });
+    return txt;
+  });
+}
+
+// Asks the user to type SAVE_CONFIRMATION_TEXT before the EEPROM is written.
+function confirmEepromSave(scale, offset) {
+  const answer = window.prompt(
+    `This overwrites the calibration stored in the EEPROM with Scale = ${scale}, Offset = ${offset}.\n` +
+    `Type ${SAVE_CONFIRMATION_TEXT} to continue.`
+  );
+  return (answer || '').trim().toUpperCase() === SAVE_CONFIRMATION_TEXT;
+}
+
+// Side-by-side view of the current and proposed calibration
+const CalibrationDiff = ({ current, next, raw }) => {
+  const problems = validateCalibration(next.scale, next.offset);
+  const diff = compareCalibrations(current, next, raw);
+  const { theme, cellStyle } = useStyles();
+  const format = (value, digits = 3) => (value === null || !Number.isFinite(value) ? '–' : `${value > 0 ? '+' : ''}${value.toFixed(digits)}`);
+
+  return (
+    <div style={{ width: '100%', margin: '10px 0', fontSize: '14px' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th style={{ ...cellStyle, textAlign: 'left' }}></th>
+            <th style={cellStyle}>Current</th>
+            <th style={cellStyle}>New</th>
+            <th style={cellStyle}>Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td style={{ ...cellStyle, textAlign: 'left' }}>Scale</td>
+            <td style={cellStyle}>{current.scale}</td>
+            <td style={cellStyle}>{next.scale}</td>
+            <td style={cellStyle}>{format(diff.scaleChange, 2)} %</td>
+          </tr>
+          <tr>
+            <td style={{ ...cellStyle, textAlign: 'left' }}>Offset</td>
+            <td style={cellStyle}>{current.offset}</td>
+            <td style={cellStyle}>{next.offset}</td>
+            <td style={cellStyle}>{format(diff.offsetChange)}</td>
+          </tr>
+          <tr>
+            <td style={{ ...cellStyle, textAlign: 'left' }}>Weight at raw {raw !== null && raw !== undefined ? Math.round(raw) : '–'}</td>
+            <td style={cellStyle}>{diff.weightBefore !== null ? `${diff.weightBefore} g` : '–'}</td>
+            <td style={cellStyle}>{diff.weightAfter !== null ? `${diff.weightAfter} g` : '–'}</td>
+            <td style={cellStyle}>{format(diff.weightChange)} g</td>
+          </tr>
+        </tbody>
+      </table>
+      {problems.map((problem) => (
+        <p key={problem} role="alert" style={{ color: theme.danger, margin: '5px 0' }}>
+          <span aria-hidden="true">⚠</span> {problem}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+// Shows the calibration replaced by the last apply, with a one-click revert
+const CalibrationSnapshot = ({ onReverted }) => {
+  const node = useSelectedNode();
+  const [snapshot] = useStoredState(nodeKey('calibrationSnapshot', node), {});
+  const offline = useConnectionHealth().state === 'offline';
+  const [message, setMessage] = useState('');
+  const { theme } = useTheme();
+
+  if (snapshot.scale === undefined) return null;
+
+  const handleRevert = () => {
+    if (offline) {
+      queueDeviceCommand({ type: 'setCalibration', node, scale: snapshot.scale, offset: snapshot.offset, source: 'Revert' });
+      setMessage('Device unreachable: revert queued, it can be replayed once the device is back');
+      return;
+    }
+    applyCalibration({
+      scale: snapshot.scale,
+      offset: snapshot.offset,
+      previousScale: snapshot.replacedBy ? snapshot.replacedBy.scale : '',
+      previousOffset: snapshot.replacedBy ? snapshot.replacedBy.offset : '',
+      source: 'Revert',
+      node,
+    })
+      .then((txt) => {
+        setMessage(`${txt} (reverted, save to keep it after a reboot)`);
+        if (onReverted) onReverted();
+      })
+      .catch((err) => {
+        console.error('Error reverting calibration:', err);
+        setMessage(err.message);
+      });
+  };
+
+  return (
+    <div style={{ width: '100%', marginBottom: '20px', padding: '10px', border: `1px solid ${theme.caution}`, borderRadius: '5px', boxSizing: 'border-box' }}>
+      <strong>Previous calibration</strong> (replaced {new Date(snapshot.timestamp).toLocaleString()}):
+      {' '}Scale = {snapshot.scale}, Offset = {snapshot.offset}
+      <Button variant="caution" style={{ marginLeft: '10px' }} onClick={handleRevert}>
+        {offline ? 'Queue Revert' : 'Revert'}
+      </Button>
+      {message && <p style={{ margin: '5px 0 0' }}>{message}</p>}
+    </div>
+  );
+};
+
+// ---------------------
+// Queued Device Commands
+// ---------------------
+// Tare and set_calibration requests made while the device is unreachable are
+// kept in localStorage as { id, type: 'tare' | 'setCalibration', node, scale,
+// offset, source, queuedAt } and only sent once the user confirms the replay.
+function queueDeviceCommand(command) {
+  const { commands } = loadStored('commandQueue', { commands: [] });
+  // The random suffix keeps ids unique for commands queued in the same millisecond
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const entry = { ...command, id, queuedAt: new Date().toISOString() };
+  saveStored('commandQueue', { commands: [...commands, entry] });
+  window.dispatchEvent(new CustomEvent('storedStateChanged', { detail: 'commandQueue' }));
+}
+
+function removeQueuedCommands(ids) {
+  const { commands } = loadStored('commandQueue', { commands: [] });
+  saveStored('commandQueue', { commands: commands.filter((c) => !ids.includes(c.id)) });
+  window.dispatchEvent(new CustomEvent('storedStateChanged', { detail: 'commandQueue' }));
+}
+
+function describeDeviceCommand(command) {
+  const what = command.type === 'tare' ? 'Tare' : `Set calibration: Scale = ${command.scale}, Offset = ${command.offset}`;
+  return `${what} (${command.source}, queued ${new Date(command.queuedAt).toLocaleString()})`;
+}
+
+// Sends a queued command. Calibrations are validated again and snapshot the
+// values read from the device just before, so that a command replayed earlier
+// in the same run (e.g. a tare) is what gets recorded as replaced.
+function runDeviceCommand(command) {
+  if (command.type === 'tare') return api.tare(command.node);
+  return api.getRaw(command.node).then((current) => applyCalibration({
+    scale: command.scale,
+    offset: command.offset,
+    previousScale: current.current_scale,
+    previousOffset: current.current_offset,
+    source: `${command.source} (queued)`,
+    node: command.node,
+  }));
+}
+
+// Lists the queued commands of the selected node and, once the device is
+// reachable, offers to replay them. Shown on every page while the queue of
+// the node is not empty.
+const CommandQueuePanel = () => {
+  const node = useSelectedNode();
+  const [queue] = useStoredState('commandQueue', { commands: [] });
+  const offline = useConnectionHealth().state === 'offline';
+  const [message, setMessage] = useState('');
+  const [replaying, setReplaying] = useState(false);
+  const { theme, compact } = useTheme();
+  const commands = queue.commands.filter((c) => (c.node || null) === (node || null));
+
+  if (commands.length === 0 && !message) return null;
+
+  // Commands are sent one after the other; the first failure stops the replay
+  // and leaves the remaining commands queued.
+  const replay = (selected) => {
+    const summary = selected.map(describeDeviceCommand).join('\n');
+    const tare = selected.some((c) => c.type === 'tare') ? '\n\nMake sure the platform is empty before taring.' : '';
+    if (!window.confirm(`Send ${selected.length} queued command(s) to the device?\n\n${summary}${tare}`)) return;
+    setReplaying(true);
+    selected
+      .reduce((chain, command) => chain.then(() => runDeviceCommand(command).then(() => removeQueuedCommands([command.id]))), Promise.resolve())
+      .then(() => setMessage(`${selected.length} queued command(s) sent`))
+      .catch((err) => {
+        console.error('Error replaying queued command:', err);
+        setMessage(`Replay stopped: ${err.message}`);
+      })
+      .finally(() => setReplaying(false));
+  };
+
+  const discard = (selected) => {
+    if (!window.confirm(`Discard ${selected.length} queued command(s)?`)) return;
+    removeQueuedCommands(selected.map((c) => c.id));
+  };
+
+  const panelStyle = {
+    maxWidth: '900px',
+    margin: '0 auto 20px',
+    padding: compact ? '8px' : '10px',
+    borderRadius: '5px',
+    border: `2px solid ${theme.caution}`,
+    backgroundColor: theme.surface,
+    fontSize: '14px',
+    boxSizing: 'border-box',
+  };
+
+  return (
+    <div style={panelStyle} role="region" aria-label="Queued device commands">
+      {commands.length > 0 && (
+        <>
+          <strong>
+            {offline
+              ? `${commands.length} command(s) queued while the device is unreachable.`
+              : `The device is reachable again. Replay ${commands.length} queued command(s)?`}
+          </strong>
+          <ul style={{ margin: '5px 0', paddingLeft: '20px' }}>
+            {commands.map((command) => (
+              <li key={command.id} style={{ margin: '3px 0' }}>
+                {describeDeviceCommand(command)}{' '}
+                <Button size="small" variant="caution" onClick={() => replay([command])} disabled={offline || replaying}>Replay</Button>{' '}
+                <Button size="small" variant="secondary" onClick={() => discard([command])} disabled={replaying}>Discard</Button>
+              </li>
+            ))}
+          </ul>
+          <Button variant="caution" onClick={() => replay(commands)} disabled={offline || replaying}>Replay All</Button>
+          <Button variant="danger" onClick={() => discard(commands)} disabled={replaying}>Discard All</Button>
+        </>
+      )}
+      {message && (
+        <p role="status" style={{ margin: '5px 0 0' }}>
+          {message}{' '}
+          <Button size="small" variant="secondary" onClick={() => setMessage('')}>Dismiss</Button>
+        </p>
+      )}
+    </div>
+  );
+};
+
+// ---------------------
+// Basic Calibration Page
+// ---------------------
+const BasicCalibrationPage = () => {
+  const [calData, setCalData] = useState({ raw_value: null, current_scale: '', current_offset: '' });
+  const [newScale, setNewScale] = useState('');
+  const [newOffset, setNewOffset] = useState('');
+  const [rawSim, setRawSim] = useState('');
+  const [simulatedWeight, setSimulatedWeight] = useState(null);
+  const [message, setMessage] = useState('');
+  const telemetry = useTelemetryStore();
+  const node = useSelectedNode();
+  const [settings] = useSettings();
+  const plotData = useSignalHistory('raw', settings.plotDuration);
+
+  // Latest calibration data from the telemetry store
+  const { data } = useTelemetrySample('raw');
+  const stability = useStability();
+  const offline = useConnectionHealth().state === 'offline';
+  const invalidCalibration = validateCalibration(newScale, newOffset).length > 0;
+
+  // Update calibration data
+  useEffect(() => {
+    if (data) {
+      setCalData(data);
+      if (newScale === '') setNewScale(data.current_scale);
+      if (newOffset === '') setNewOffset(data.current_offset);
+    }
+  }, [data]);
+
+  useEffect(() => {
+    const sim = simulateWeight(rawSim, newScale, newOffset);
+    setSimulatedWeight(sim);
+  }, [rawSim, newScale, newOffset]);
+
+  const fetchCalibration = () => {
+    api.getRaw(node)
+      .then((data) => {
+        telemetry.ingest('raw', data);
+        setNewScale(data.current_scale);
+        setNewOffset(data.current_offset);
+      })
+      .catch((err) => {
+        console.error('Error fetching calibration:', err);
+        setMessage(err.message);
+      });
+  };
+
+  const handleTare = () => {
+    if (offline) {
+      queueDeviceCommand({ type: 'tare', node, source: 'Basic Calibration' });
+      setMessage('Device unreachable: tare queued, it can be replayed once the device is back');
+      return;
+    }
+    if (!stability.stable) {
+      setMessage("Reading is not stable yet, wait before taring");
+      return;
+    }
+    api.tare(node)
+      .then((txt) => {
+        setMessage(txt);
+        fetchCalibration();
+      })
+      .catch((err) => {
+        console.error('Error taring scale:', err);
+        setMessage(err.message);
+      });
+  };
+
+  const handleSetCalibration = () => {
+    if (offline) {
+      queueDeviceCommand({ type: 'setCalibration', node, scale: newScale, offset: newOffset, source: 'Basic Calibration' });
+      setMessage('Device unreachable: calibration queued, it can be replayed once the device is back');
+      return;
+    }
+    applyCalibration({
+      scale: newScale,
+      offset: newOffset,
+      previousScale: calData.current_scale,
+      previousOffset: calData.current_offset,
+      source: 'Basic Calibration',
+      node,
+    })
+      .then((txt) => {
+        setMessage(txt);
+        fetchCalibration();
+      })
+      .catch((err) => {
+        console.error('Error setting calibration:', err);
+        setMessage(err.message);
+      });
+  };
+
+  const handleSaveCalibration = () => {
+    if (!confirmEepromSave(calData.current_scale, calData.current_offset)) {
+      setMessage('Save cancelled');
+      return;
+    }
+    api.save(node)
+      .then((txt) => {
+        setMessage(txt);
+        recordCalibrationHistory({
+          action: 'save',
+          scale: calData.current_scale,
+          offset: calData.current_offset,
+          source: 'Basic Calibration',
+          node,
+        });
+      })
+      .catch((err) => {
+        console.error('Error saving calibration:', err);
+        setMessage(err.message);
+      });
+  };
+
+  const { theme, containerStyle, sectionStyle, inputStyle, errorStyle } = useStyles('800px');
+
+
+  return (
+    <div style={containerStyle}>
+      <h1>Basic Calibration</h1>
+      
+      <div style={sectionStyle}>
+        <h2>Current Calibration Values</h2>
+        <p><strong>Raw Value:</strong> {calData.raw_value !== null ? calData.raw_value : 'Loading...'}</p>
+        <p><StabilityIndicator stability={stability} /></p>
+        <p><strong>Scale:</strong> {calData.current_scale}</p>
+        <p><strong>Offset:</strong> {calData.current_offset}</p>
+        <Button block variant="secondary" onClick={fetchCalibration}>Refresh Calibration Data</Button>
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Edit Calibration</h2>
+        <label>Scale:</label>
+        <input
+          style={inputStyle}
+          type="number"
+          value={newScale}
+          onChange={(e) => setNewScale(e.target.value)}
+        />
+        <label>Offset:</label>
+        <input
+          style={inputStyle}
+          type="number"
+          value={newOffset}
+          onChange={(e) => setNewOffset(e.target.value)}
+        />
+        <CalibrationDiff
+          current={{ scale: calData.current_scale, offset: calData.current_offset }}
+          next={{ scale: newScale, offset: newOffset }}
+          raw={calData.raw_value}
+        />
+        <Button
+          block
+          variant="caution"
+          onClick={handleSetCalibration}
+          disabled={invalidCalibration}
+        >
+          {offline ? 'Queue Set Calibration' : 'Set Calibration'}
+        </Button>
+        <Button
+          block
+          variant="caution"
+          onClick={handleTare}
+          disabled={!stability.stable && !offline}
+        >
+          {offline ? 'Queue Tare' : stability.stable ? 'Tare Scale' : 'Tare Scale (waiting for stable reading)'}
+        </Button>
+        {/* Warning only shown near save */}
+        <p style={errorStyle}>
+          Warning: Saving will overwrite calibration data stored in the ESP's EEPROM.
+        </p>
+        <Button block variant="danger" onClick={handleSaveCalibration} disabled={offline}>
+          Save Calibration
+        </Button>
+      </div>
+
+      <CalibrationSnapshot onReverted={fetchCalibration} />
+
+      <CalibrationHistoryPanel onRestored={fetchCalibration} />
+
+      <div style={sectionStyle}>
+        <h2>Calibration Simulator</h2>
+        <p>Simulated Weight (g) = (Raw Input - Offset) / Scale</p>
+        <label>Raw Input Value:</label>
+        <input
+          style={inputStyle}
+          type="number"
+          value={rawSim}
+          onChange={(e) => setRawSim(e.target.value)}
+        />
+        <p>
+          Simulated Weight: {simulatedWeight !== null ? simulatedWeight + ' g' : 'Enter raw value'}
+        </p>
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Live Raw Value Plot</h2>
+        <div style={{ width: '100%', marginTop: '10px' }}>
+          <LiveChart
+            series={[{ label: 'Raw Value', data: plotData, color: theme.chartRaw }]}
+            duration={settings.plotDuration}
+            axes={{ y: 'Raw Value' }}
+            overlayWindow={settings.meanWindow}
+            filename="raw-values"
+          />
+        </div>
+      </div>
+
+      {message && (
+        <StatusMessage>{message}</StatusMessage>
+      )}
+    </div>
+  );
+};
+
+// ---------------------
+// Calibration History Panel
+// ---------------------
+// Lists previously applied calibrations with a restore action, and exports or
+// imports the calibration session and history as JSON or CSV.
+const CalibrationHistoryPanel = ({ session, onSessionImported, onRestored }) => {
+  const node = useSelectedNode();
+  const [allHistory, replaceHistory] = useCalibrationHistory();
+  // Entries of the selected node only
+  const history = allHistory.filter((entry) => (entry.node || null) === node);
+  const offline = useConnectionHealth().state === 'offline';
+  const current = useTelemetrySample('raw').data;
+  const [message, setMessage] = useState('');
+  const fileInputRef = useRef(null);
+
+  const handleRestore = (entry) => {
+    if (offline) {
+      queueDeviceCommand({ type: 'setCalibration', node, scale: entry.scale, offset: entry.offset, source: 'History' });
+      setMessage('Device unreachable: restore queued, it can be replayed once the device is back');
+      return;
+    }
+    const diff = current ? compareCalibrations({ scale: current.current_scale, offset: current.current_offset }, entry, current.raw_value) : {};
+    const change = diff.weightChange !== null && diff.weightChange !== undefined ? `\nThe current reading would change by ${diff.weightChange.toFixed(3)} g.` : '';
+    if (!window.confirm(`Apply Scale = ${entry.scale}, Offset = ${entry.offset} from ${new Date(entry.timestamp).toLocaleString()}?${change}`)) return;
+    applyCalibration({
+      scale: entry.scale,
+      offset: entry.offset,
+      previousScale: current ? current.current_scale : '',
+      previousOffset: current ? current.current_offset : '',
+      source: 'History',
+      node,
+    })
+      .then((txt) => {
+        setMessage(`${txt} (remember to save the calibration to keep it after a reboot)`);
+        if (onRestored) onRestored();
+      })
+      .catch((err) => {
+        console.error('Error restoring calibration:', err);
+        setMessage(err.message);
+      });
+  };
+
+  const exportJson = () => {
+    const content = JSON.stringify({ exportedAt: new Date().toISOString(), session: session || loadStored(nodeKey('calibrationSession', node), null), history }, null, 2);
+    downloadFile(`calibration-${fileTimestamp()}.json`, content, 'application/json');
+  };
+
+  const exportHistoryCsv = () => {
+    const columns = ['timestamp', 'node', 'action', 'scale', 'offset', 'previousScale', 'previousOffset', 'source'];
+    downloadFile(`calibration-history-${fileTimestamp()}.csv`, toCsv(columns, history), 'text/csv');
+  };
+
+  const exportPointsCsv = () => {
+    const points = (session || loadStored(nodeKey('calibrationSession', node), {}) || {}).calPoints || [];
+    downloadFile(`calibration-points-${fileTimestamp()}.csv`, toCsv(['raw', 'actual'], points), 'text/csv');
+  };
+
+  const importSession = (importedSession) => {
+    saveStored(nodeKey('calibrationSession', node), importedSession);
+    if (onSessionImported) onSessionImported(importedSession);
+  };
+
+  // Merges imported history entries, skipping ones already present
+  const importHistory = (entries) => {
+    const entryKey = (e) => `${e.timestamp}|${e.action}|${e.scale}|${e.offset}|${e.node || ''}`;
+    const known = new Set(allHistory.map(entryKey));
+    const merged = [...allHistory, ...entries.filter((e) => !known.has(entryKey(e)))];
+    merged.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    replaceHistory(merged);
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text()
+      .then((text) => {
+        if (file.name.toLowerCase().endsWith('.json')) {
+          const data = JSON.parse(text);
+          if (data.session) importSession(data.session);
+          if (Array.isArray(data.history)) importHistory(data.history);
+          setMessage(`Imported ${file.name}`);
+          return;
+        }
+        const rows = parseCsv(text);
+        if (rows.length > 0 && 'raw' in rows[0] && 'actual' in rows[0]) {
+          const calPoints = rows
+            .map((r) => ({ raw: parseFloat(r.raw), actual: parseFloat(r.actual) }))
+            .filter((pt) => !isNaN(pt.raw) && !isNaN(pt.actual));
+          importSession({ ...(session || loadStored(nodeKey('calibrationSession', node), {}) || {}), calPoints });
+          setMessage(`Imported ${calPoints.length} calibration points from ${file.name}`);
+        } else if (rows.length > 0 && 'scale' in rows[0] && 'offset' in rows[0]) {
+          importHistory(rows.filter((r) => r.timestamp && r.scale !== '' && r.offset !== ''));
+          setMessage(`Imported ${rows.length} history entries from ${file.name}`);
+        } else {
+          setMessage(`Unrecognised file format: ${file.name}`);
+        }
+      })
+      .catch((err) => {
+        console.error('Error importing calibration data:', err);
+        setMessage(`Could not import ${file.name}`);
+      });
+  };
+
+  const { sectionStyle } = useStyles();
+
+  return (
+    <div style={sectionStyle}>
+      <h2>Calibration History</h2>
+      {history.length === 0 ? (
+        <p>No calibration has been applied from this browser yet.</p>
+      ) : (
+        <ul style={{ listStyle: 'none', padding: 0, maxHeight: '250px', overflowY: 'auto' }}>
+          {history.map((entry, idx) => (
+            <li key={idx} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '5px', gap: '10px' }}>
+              <span>
+                {new Date(entry.timestamp).toLocaleString()} | {entry.action}
+                {entry.scale !== undefined && ` | Scale: ${entry.scale}, Offset: ${entry.offset}`}
+                {entry.source && ` (${entry.source})`}
+              </span>
+              {entry.scale !== undefined && (
+                <Button
+                  size="small"
+                  variant="caution"
+                  onClick={() => handleRestore(entry)}
+                >
+                  {offline ? 'Queue Restore' : 'Restore'}
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div>
+        <Button variant="secondary" onClick={exportJson}>Export JSON</Button>
+        <Button variant="secondary" onClick={exportHistoryCsv}>Export History CSV</Button>
+        <Button variant="secondary" onClick={exportPointsCsv}>Export Points CSV</Button>
+        <Button variant="secondary" onClick={() => fileInputRef.current.click()}>Import JSON/CSV</Button>
+        <input ref={fileInputRef} type="file" accept=".json,.csv" style={{ display: 'none' }} onChange={handleImport} />
+      </div>
+      {message && <p>{message}</p>}
+    </div>
+  );
+};
+
+// ---------------------
+// Calibration Wizard
+// ---------------------
+// Guides the user through empty-platform capture, tare, reference weights,
+// fit preview and finally writing the result to the device.
+// Each capture waits a full averaging window (settings.meanWindow) after the
+// load is placed so that the captured mean only contains readings taken with
+// the weight on the pan, and then keeps waiting until the reading is reported
+// stable.
+const CalibrationWizard = ({ rawValue, meanRaw, stable, currentScale, currentOffset, onClose }) => {
+  const [step, setStep] = useState('setup');
+  const node = useSelectedNode();
+  const [settings] = useSettings();
+  const offline = useConnectionHealth().state === 'offline';
+  const [refWeightsInput, setRefWeightsInput] = useState('');
+  const [refWeights, setRefWeights] = useState([]);
+  const [weightIndex, setWeightIndex] = useState(0);
+  const [points, setPoints] = useState([]);             // Array of { raw, actual }
+  const [captureStart, setCaptureStart] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [message, setMessage] = useState('');
+  const meanRawRef = useRef(meanRaw);
+  const stableRef = useRef(stable);
+
+  useEffect(() => {
+    meanRawRef.current = meanRaw;
+    stableRef.current = stable;
+  }, [meanRaw, stable]);
+
+  // The mean is captured once a full window plus one poll has passed since the
+  // capture started, so that the window holds only readings with the load on
+  const captureDeadline = captureStart !== null ? captureStart + settings.meanWindow + settings.pollIntervals.advCalib : null;
+
+  // While capturing, tick once a second for the countdown and capture the
+  // mean once the deadline has passed and the reading is stable.
+  useEffect(() => {
+    if (captureDeadline === null) return;
+    const timer = setInterval(() => {
+      const t = Date.now();
+      setNow(t);
+      if (t >= captureDeadline && stableRef.current) {
+        clearInterval(timer);
+        setCaptureStart(null);
+        capturePoint(meanRawRef.current);
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [captureDeadline]);
+
+  const capturePoint = (raw) => {
+    if (raw === null || isNaN(raw)) {
+      setMessage('No raw reading available, please retry.');
+      return;
+    }
+    if (step === 'empty') {
+      setPoints([{ raw, actual: 0 }]);
+      setStep('tare');
+    } else if (step === 'weights') {
+      setPoints((prev) => [...prev, { raw, actual: refWeights[weightIndex] }]);
+      if (weightIndex + 1 < refWeights.length) {
+        setWeightIndex(weightIndex + 1);
+      } else {
+        setStep('preview');
+      }
+    }
+    setMessage('');
+  };
+
+  const startCapture = () => {
+    const t = Date.now();
+    setNow(t);
+    setCaptureStart(t);
+  };
+
+  const handleSetup = () => {
+    const weights = refWeightsInput
+      .split(/[,;\s]+/)
+      .map((w) => parseFloat(w))
+      .filter((w) => !isNaN(w) && w > 0);
+    if (weights.length === 0) {
+      setMessage('Enter at least one reference weight greater than zero.');
+      return;
+    }
+    setRefWeights(weights);
+    setWeightIndex(0);
+    setPoints([]);
+    setMessage('');
+    setStep('empty');
+  };
+
+  const handleTare = () => {
+    if (offline) {
+      queueDeviceCommand({ type: 'tare', node, source: 'Calibration Wizard' });
+      setMessage('Device unreachable: tare queued, it can be replayed once the device is back');
+      setStep('weights');
+      return;
+    }
+    api.tare(node)
+      .then((txt) => {
+        setMessage(txt);
+        setStep('weights');
+      })
+      .catch((err) => {
+        console.error('Error taring scale:', err);
+        setMessage('Tare failed, you can retry or skip this step.');
+      });
+  };
+
+  const fit = computeLinearFit(points);
+
+  const handleApply = () => {
+    if (!fit || fit.scale === 'N/A') {
+      setMessage('Invalid fit, cannot apply calibration.');
+      return;
+    }
+    if (offline) {
+      queueDeviceCommand({ type: 'setCalibration', node, scale: fit.scale, offset: fit.offset, source: 'Calibration Wizard' });
+      setMessage('Device unreachable: calibration queued. Replay it once the device is back, then save it on the Basic Calibration page.');
+      setStep('done');
+      return;
+    }
+    applyCalibration({
+      scale: fit.scale,
+      offset: fit.offset,
+      previousScale: currentScale,
+      previousOffset: currentOffset,
+      source: 'Calibration Wizard',
+      node,
+    })
+      .then((txt) => {
+        setMessage(txt);
+        setStep('save');
+      })
+      .catch((err) => {
+        console.error('Error setting calibration:', err);
+        setMessage(`Setting calibration failed: ${err.message}`);
+      });
+  };
+
+  const handleSave = () => {
+    if (!confirmEepromSave(fit.scale, fit.offset)) {
+      setMessage('Save cancelled.');
+      return;
+    }
+    api.save(node)
+      .then((txt) => {
+        setMessage(txt);
+        recordCalibrationHistory({ action: 'save', scale: fit.scale, offset: fit.offset, source: 'Calibration Wizard', node });
+        setStep('done');
+      })
+      .catch((err) => {
+        console.error('Error saving calibration:', err);
+        setMessage('Saving calibration failed.');
+      });
+  };
+
+  const restart = () => {
+    setCaptureStart(null);
+    setPoints([]);
+    setWeightIndex(0);
+    setMessage('');
+    setStep('setup');
+  };
+
+  const styles = useStyles();
+  const { inputStyle, errorStyle } = styles;
+  const sectionStyle = { ...styles.sectionStyle, border: `2px solid ${styles.theme.primary}` };
+
+
+  const capturing = captureStart !== null;
+  const remaining = capturing ? Math.max(0, Math.ceil((captureDeadline - now) / 1000)) : 0;
+
+  const captureControls = (
+    <div>
+      <p>Current Raw Value: {rawValue !== null ? rawValue : 'Loading...'}</p>
+      <p><StabilityIndicator stability={{ stable, stdDev: null }} /></p>
+      {capturing ? (
+        <p>
+          {remaining > 0
+            ? `Averaging readings... capturing in ${remaining}s.`
+            : stable ? 'Capturing...' : 'Waiting for a stable reading...'} Do not touch the scale.
+        </p>
+      ) : (
+        <Button onClick={startCapture}>Capture</Button>
+      )}
+    </div>
+  );
+
+  return (
+    <div style={sectionStyle}>
+      <h2>Calibration Wizard</h2>
+
+      {step === 'setup' && (
+        <div>
+          <p>Step 1: Enter the reference weights you will place on the scale (same unit as the calibration, comma separated).</p>
+          <input
+            style={inputStyle}
+            type="text"
+            placeholder="e.g. 100, 500, 1000"
+            value={refWeightsInput}
+            onChange={(e) => setRefWeightsInput(e.target.value)}
+          />
+          <Button onClick={handleSetup}>Start</Button>
+        </div>
+      )}
+
+      {step === 'empty' && (
+        <div>
+          <p>Step 2: Remove everything from the platform, then capture the empty reading.</p>
+          {captureControls}
+        </div>
+      )}
+
+      {step === 'tare' && (
+        <div>
+          <p>Step 3: Empty platform captured (raw {points[0].raw.toFixed(settings.decimals)}). Tare the scale now?</p>
+          <Button variant="caution" onClick={handleTare} disabled={!stable && !offline}>
+            {offline ? 'Queue Tare' : stable ? 'Tare Scale' : 'Tare Scale (waiting for stable reading)'}
+          </Button>
+          <Button variant="secondary" onClick={() => setStep('weights')}>Skip</Button>
+        </div>
+      )}
+
+      {step === 'weights' && (
+        <div>
+          <p>
+            Step 4 ({weightIndex + 1}/{refWeights.length}): Place the reference weight
+            of <strong>{refWeights[weightIndex]}</strong> on the platform, then capture.
+          </p>
+          {captureControls}
+        </div>
+      )}
+
+      {points.length > 0 && (
+        <ul style={{ listStyle: 'none', padding: 0 }}>
+          {points.map((pt, idx) => (
+            <li key={idx}>Raw: {pt.raw.toFixed(settings.decimals)} | Actual: {pt.actual}</li>
+          ))}
+        </ul>
+      )}
+
+      {step === 'preview' && (
+        <div>
+          <p>Step 5: Review the fitted calibration.</p>
+          {fit ? (
+            <CalibrationDiff
+              current={{ scale: currentScale, offset: currentOffset }}
+              next={{ scale: fit.scale, offset: fit.offset }}
+              raw={meanRaw !== null ? meanRaw : rawValue}
+            />
+          ) : (
+            <p>Could not compute a fit from the captured points.</p>
+          )}
+          <Button variant="caution" onClick={handleApply} disabled={!fit}>
+            {offline ? 'Queue Calibration' : 'Apply Calibration'}
+          </Button>
+        </div>
+      )}
+
+      {step === 'save' && (
+        <div>
+          <p>Step 6: The calibration is applied but not yet stored. Check the weight reading, then save it to the device.</p>
+          <p style={errorStyle}>
+            Warning: Saving will overwrite calibration data stored in the ESP's EEPROM.
+          </p>
+          <Button variant="danger" onClick={handleSave} disabled={offline}>
+            Save Calibration
+          </Button>
+          <Button variant="secondary" onClick={() => setStep('done')}>Don't Save</Button>
+        </div>
+      )}
+
+      {step === 'done' && <p>Calibration wizard finished.</p>}
+
+      {message && (
+        <StatusMessage style={{ margin: '5px 0' }}>{message}</StatusMessage>
+      )}
+
+      <div>
+        {step !== 'setup' && <Button variant="secondary" onClick={restart}>Restart</Button>}
+        <Button variant="secondary" onClick={onClose}>Close Wizard</Button>
+      </div>
+    </div>
+  );
+};
+
+// ---------------------
+// Advanced Calibration Page
+// ---------------------
+const AdvancedCalibrationPage = () => {
+  const node = useSelectedNode();
+  const [settings] = useSettings();
+  const rawBuffer = useSignalHistory('raw', settings.meanWindow); // Buffer for the averaging window
+  const livePlotData = useSignalHistory('raw', settings.plotDuration);
+  const rawData = rawBuffer.length > 0 ? rawBuffer[rawBuffer.length - 1].value : null; // Latest raw value
+  const [meanRaw, setMeanRaw] = useState(null);          // Mean of rawBuffer
+  const storedSession = useRef(loadStored(nodeKey('calibrationSession', node), {}) || {}).current;
+  const [zeroWeight, setZeroWeight] = useState(storedSession.zeroWeight || '');      // User-provided zero weight value
+  const [calPoints, setCalPoints] = useState(storedSession.calPoints || []);        // Array of { raw, actual }
+  const [pointRaw, setPointRaw] = useState('');
+  const [pointActual, setPointActual] = useState('');
+  const [fitResults, setFitResults] = useState(null);    // Proposed calibration (scale, offset)
+  const [showWizard, setShowWizard] = useState(false);
+  const [maxStdDev, setMaxStdDev] = useState(STABILITY_MAX_STDDEV);
+  const [maxDrift, setMaxDrift] = useState(STABILITY_MAX_DRIFT);
+  const [fitModel, setFitModel] = useState(storedSession.fitModel || 'linear');    // 'linear', 'quadratic' or 'piecewise'
+  const logPlotData = logPlotPoints(calPoints, zeroWeight);                         // Data for log plot (calibration points)
+  const residualChartRef = useRef(null);
+  const residualChartInstance = useRef(null);
+  const chartRef = useRef(null);
+  const chartInstance = useRef(null);
+  const { theme, containerStyle, sectionStyle, inputStyle } = useStyles('900px');
+
+  // Latest calibration data from the telemetry store
+  const { data } = useTelemetrySample('raw');
+  const stability = useStability({ maxStdDev: parseFloat(maxStdDev), maxDrift: parseFloat(maxDrift) });
+
+  // Compute mean raw value from buffer
+  useEffect(() => {
+    if (rawBuffer.length > 0) {
+      const sum = rawBuffer.reduce((acc, pt) => acc + pt.value, 0);
+      setMeanRaw(sum / rawBuffer.length);
+    }
+  }, [rawBuffer]);
+
+  // Persist the calibration session so it survives tab switches and reloads
+  const session = { calPoints, logPlotData, zeroWeight, fitModel, fitResults };
+  useEffect(() => {
+    saveStored(nodeKey('calibrationSession', node), { ...session, updatedAt: new Date().toISOString() });
+  }, [calPoints, zeroWeight, fitModel, fitResults]);
+
+  const restoreSession = (imported) => {
+    const points = imported.calPoints || [];
+    const zero = imported.zeroWeight !== undefined ? imported.zeroWeight : '';
+    setCalPoints(points);
+    setZeroWeight(zero);
+    if (imported.fitModel) setFitModel(imported.fitModel);
+  };
+
+  // Deep link that loads this session's points on another browser (see URL Routing)
+  const sharePointsLink = () => {
+    const params = new URLSearchParams({ points: formatPointsParam(calPoints) });
+    if (zeroWeight !== '') params.set('zero', zeroWeight);
+    if (fitModel !== 'linear') params.set('model', fitModel);
+    if (node) params.set('node', node);
+    window.prompt('Link to these calibration points:', `${window.location.href.split('#')[0]}${routeHash('advCalib', params)}`);
+  };
+
+  const clearSession = () => {
+    if (!window.confirm('Clear all calibration points of this session?')) return;
+    restoreSession({ calPoints: [], zeroWeight: '' });
+  };
+
+  // Handle adding a new calibration point
+  const addCalPoint = () => {
+    if (pointRaw === '' || pointActual === '' || !stability.stable) return;
+    const newPoint = { raw: parseFloat(pointRaw), actual: parseFloat(pointActual) };
+    setCalPoints((prev) => [...prev, newPoint]);
+    setPointRaw('');
+    setPointActual('');
+  };
+
+  // Remove a calibration point by index
+  const removeCalPoint = (index) => {
+    setCalPoints((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  // Compute best fitting linear regression from calPoints (if at least 2 points)
+  useEffect(() => {
+    if (calPoints.length >= 2) {
+      const fit = computeLinearFit(calPoints);
+      if (fit) setFitResults(fit);
+    } else {
+      setFitResults(null);
+    }
+  }, [calPoints]);
+
+  // Set up Chart.js for calibration log plot (scatter plot)
+  useEffect(() => {
+    const ctx = chartRef.current.getContext('2d');
+    chartInstance.current = new Chart(ctx, {
+      type: 'scatter',
+      data: {
+        datasets: [{
+          label: 'Calibration Points',
+          data: logPlotData.map(pt => ({ x: pt.raw, y: pt.actual })),
+          backgroundColor: theme.chartPoints
+        }, {
+          label: 'Fitted Model',
+          data: [],
+          borderColor: theme.chartFit,
+          showLine: true,
+          pointRadius: 0,
+          fill: false,
+        }]
+      },
+      options: {
+        animation: false,
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: { title: { display: true, text: 'Raw Value' } },
+          y: { title: { display: true, text: 'Actual Weight' } }
+        }
+      }
+    });
+    return () => {
+      if (chartInstance.current) chartInstance.current.destroy();
+    };
+  }, []); // once
+
+  // Model fitted with the selected type and its diagnostics
+  const modelFit = fitCalibrationModel(calPoints, fitModel);
+  const diagnostics = modelFit ? computeFitDiagnostics(calPoints, modelFit.predict) : null;
+
+  // Residual plot (raw value vs. actual - predicted), outliers in red
+  useEffect(() => {
+    const ctx = residualChartRef.current.getContext('2d');
+    residualChartInstance.current = new Chart(ctx, {
+      type: 'scatter',
+      data: {
+        datasets: [{
+          label: 'Residuals',
+          data: [],
+          backgroundColor: theme.chartPoints
+        }]
+      },
+      options: {
+        animation: false,
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: { title: { display: true, text: 'Raw Value' } },
+          y: { title: { display: true, text: 'Residual (g)' } }
+        }
+      }
+    });
+    return () => {
+      if (residualChartInstance.current) residualChartInstance.current.destroy();
+    };
+  }, []); // once
+
+  useEffect(() => {
+    if (chartInstance.current) {
+      chartInstance.current.data.datasets[0].data = logPlotData.map(pt => ({ x: pt.raw, y: pt.actual }));
+      // Fitted curve sampled across the calibrated raw range
+      let curve = [];
+      if (modelFit && calPoints.length > 0) {
+        const raws = calPoints.map((pt) => pt.raw);
+        const min = Math.min(...raws), max = Math.max(...raws);
+        const steps = 50;
+        for (let i = 0; i <= steps; i++) {
+          const raw = min + ((max - min) * i) / steps;
+          curve.push({ x: raw, y: modelFit.predict(raw) });
+        }
+      }
+      chartInstance.current.data.datasets[1].data = curve;
+      chartInstance.current.data.datasets[0].backgroundColor = theme.chartPoints;
+      chartInstance.current.data.datasets[1].borderColor = theme.chartFit;
+      chartInstance.current.update();
+    }
+    if (residualChartInstance.current) {
+      const dataset = residualChartInstance.current.data.datasets[0];
+      dataset.data = diagnostics ? calPoints.map((pt, i) => ({ x: pt.raw, y: diagnostics.residuals[i] })) : [];
+      dataset.backgroundColor = theme.chartPoints;
+      dataset.pointBackgroundColor = diagnostics ? diagnostics.outliers.map((o) => (o ? theme.chartOutlier : theme.chartPoints)) : [];
+      residualChartInstance.current.update();
+    }
+  }, [calPoints, zeroWeight, fitModel, theme]);
+
+  const canvasStyle = { width: '100%', height: '300px' };
+
+  return (
+    <div style={containerStyle}>
+      <h1>Advanced Calibration</h1>
+      
+      <div style={sectionStyle}>
+        <h2>Real-Time Raw Value</h2>
+        <p>Current Raw Value: {rawData !== null ? rawData : 'Loading...'}</p>
+        <p>Mean Raw Value (last {settings.meanWindow / 1000}s): {meanRaw !== null ? meanRaw.toFixed(settings.decimals) : 'Calculating...'}</p>
+        <p><StabilityIndicator stability={stability} /></p>
+        <div style={{ display: 'flex', gap: '10px' }}>
+          <div style={{ flex: 1 }}>
+            <label>Max Std Dev (raw counts):</label>
+            <input
+              style={inputStyle}
+              type="number"
+              value={maxStdDev}
+              onChange={(e) => setMaxStdDev(e.target.value)}
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <label>Max Drift (raw counts/s):</label>
+            <input
+              style={inputStyle}
+              type="number"
+              value={maxDrift}
+              onChange={(e) => setMaxDrift(e.target.value)}
+            />
+          </div>
+        </div>
+      </div>
+
+      {showWizard ? (
+        <CalibrationWizard
+          rawValue={rawData}
+          meanRaw={meanRaw}
+          stable={stability.stable}
+          currentScale={data ? data.current_scale : ''}
+          currentOffset={data ? data.current_offset : ''}
+          onClose={() => setShowWizard(false)}
+        />
+      ) : (
+        <Button block style={{ marginBottom: '20px' }} onClick={() => setShowWizard(true)}>
+          Start Calibration Wizard
+        </Button>
+      )}
+
+      <div style={sectionStyle}>
+        <h2>Calibration Points</h2>
+        <label>Zero Weight (to be excluded in log plot):</label>
+        <input
+          style={inputStyle}
+          type="number"
+          value={zeroWeight}
+          onChange={(e) => setZeroWeight(e.target.value)}
+        />
+        <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+          <div style={{ flex: 1 }}>
+            <label>Raw Value:</label>
+            <input
+              style={inputStyle}
+              type="number"
+              value={pointRaw}
+              onChange={(e) => setPointRaw(e.target.value)}
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <label>Actual Weight:</label>
+            <input
+              style={inputStyle}
+              type="number"
+              value={pointActual}
+              onChange={(e) => setPointActual(e.target.value)}
+            />
+          </div>
+        </div>
+        <Button
+          block
+          onClick={addCalPoint}
+          disabled={!stability.stable}
+        >
+          {stability.stable ? 'Add Calibration Point' : 'Add Calibration Point (waiting for stable reading)'}
+        </Button>
+        <Button block variant="secondary" onClick={sharePointsLink} disabled={calPoints.length === 0}>Share Points Link</Button>
+        <Button block variant="danger" onClick={clearSession}>Clear Session</Button>
+        {calPoints.length > 0 && (
+          <div style={{ marginTop: '10px' }}>
+            <h3>Calibration Points List</h3>
+            <ul style={{ listStyle: 'none', padding: 0 }}>
+              {calPoints.map((pt, idx) => (
+                <li key={idx} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
+                  <span>Raw: {pt.raw} | Actual: {pt.actual}</span>
+                  <Button size="small" variant="danger" onClick={() => removeCalPoint(idx)}>Remove</Button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Live Raw Value Plot</h2>
+        <LiveChart
+          series={[{ label: 'Raw Value', data: livePlotData, color: theme.chartRaw }]}
+          duration={settings.plotDuration}
+          axes={{ y: 'Raw Value' }}
+          overlayWindow={settings.meanWindow}
+          showOverlaysByDefault
+          filename="raw-values"
+        />
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Calibration Log Plot & Best Fit</h2>
+        <div style={{ width: '100%', marginBottom: '10px' }}>
+          <canvas ref={chartRef} style={canvasStyle} />
+        </div>
+        {fitResults ? (
+          <p>Proposed Calibration: Scale = {fitResults.scale}, Offset = {fitResults.offset}</p>
+        ) : (
+          <p>Need at least 2 calibration points (excluding zero weight) to compute best fit.</p>
+        )}
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Fit Diagnostics</h2>
+        <label>Model:</label>
+        <select style={inputStyle} value={fitModel} onChange={(e) => setFitModel(e.target.value)}>
+          <option value="linear">Linear (scale/offset)</option>
+          <option value="quadratic">Quadratic</option>
+          <option value="piecewise">Piecewise Linear</option>
+        </select>
+        {fitModel !== 'linear' && (
+          <p style={{ fontSize: '12px' }}>
+            The device only supports the linear scale/offset model; other models are for inspecting non-linearity.
+          </p>
+        )}
+        {fitModel === 'quadratic' && modelFit && (
+          <p>Weight = {modelFit.a.toExponential(4)} · raw² + {modelFit.b.toExponential(4)} · raw + {modelFit.c.toFixed(3)}</p>
+        )}
+        {diagnostics ? (
+          <div>
+            <p>
+              <strong>R²:</strong> {diagnostics.rSquared !== null ? diagnostics.rSquared.toFixed(6) : 'N/A'}
+              {' | '}<strong>RMS Error:</strong> {diagnostics.rms.toFixed(3)} g
+              {' | '}<strong>Max Error:</strong> {diagnostics.maxError.toFixed(3)} g
+            </p>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+              <thead>
+                <tr>
+                  <th style={{ textAlign: 'left' }}>Raw</th>
+                  <th style={{ textAlign: 'left' }}>Actual</th>
+                  <th style={{ textAlign: 'left' }}>Predicted</th>
+                  <th style={{ textAlign: 'left' }}>Residual</th>
+                </tr>
+              </thead>
+              <tbody>
+                {calPoints.map((pt, idx) => (
+                  <tr key={idx} style={{ color: diagnostics.outliers[idx] ? theme.danger : 'inherit' }}>
+                    <td>{pt.raw}</td>
+                    <td>{pt.actual}</td>
+                    <td>{modelFit.predict(pt.raw).toFixed(3)}</td>
+                    <td>{diagnostics.residuals[idx].toFixed(3)}{diagnostics.outliers[idx] ? ' (outlier)' : ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p>Need more calibration points to fit this model.</p>
+        )}
+        <div style={{ width: '100%', marginTop: '10px' }}>
+          <canvas ref={residualChartRef} style={canvasStyle} />
+        </div>
+      </div>
+
+      <CalibrationSnapshot />
+
+      <CalibrationHistoryPanel session={session} onSessionImported={restoreSession} />
+    </div>
+  );
+};
 
 // ---------------------
-// Custom Hook: usePolling
+// Recording Provider
 // ---------------------
-// Runs a polling callback every 'delay' ms and ensures no overlapping API calls.
-function usePolling(apiCall, delay = DEFAULT_DELTA_T) {
-  const [data, setData] = useState(null);
-  const [timestamp, setTimestamp] = useState(Date.now());
-  const inProgress = useRef(false);
+// Records weight, raw value, battery and VDD33 from the telemetry store at a
+// fixed interval, whichever tab is visible. The session is persisted in
+// localStorage so a reload does not lose it.
+const RecordingContext = React.createContext(null);
+
+const RecordingProvider = ({ children }) => {
+  const telemetry = useTelemetryStore();
+  const node = useSelectedNode();
+  const [session, setSession] = useState(() => loadStored(nodeKey('recording', node), null));
+  const sessionRef = useRef(session);
+  const lastRecorded = useRef(0);
+  const recording = session !== null && session.stoppedAt === null;
+
+  useEffect(() => {
+    sessionRef.current = session;
+  }, [session]);
 
+  // Sample the latest telemetry while recording
   useEffect(() => {
+    if (!recording) return;
     const timer = setInterval(() => {
-      if (!inProgress.current) {
-        inProgress.current = true;
-        apiCall()
-          .then((result) => {
-            setData(result);
-            setTimestamp(Date.now());
-            inProgress.current = false;
-          })
-          .catch((err) => {
-            console.error(err);
-            inProgress.current = false;
-          });
-      }
-    }, delay);
+      const status = telemetry.getLatest('status');
+      const raw = telemetry.getLatest('raw');
+      const newest = Math.max(status ? status.timestamp : 0, raw ? raw.timestamp : 0);
+      // Only record when fresh data arrived since the last sample
+      if (newest <= lastRecorded.current) return;
+      lastRecorded.current = newest;
+      const sample = {
+        time: Date.now(),
+        weight: status ? parseFloat(status.data.weight) : null,
+        raw: raw ? parseFloat(raw.data.raw_value) : null,
+        battery: status ? parseFloat(status.data.battery) : null,
+        vdd33: status ? parseFloat(status.data.rom_phy_get_vdd33) : null,
+      };
+      setSession((prev) => prev && { ...prev, samples: [...prev.samples, sample].slice(-MAX_RECORDING_SAMPLES) });
+    }, session.interval);
+    return () => clearInterval(timer);
+  }, [recording, session && session.interval]);
+
+  // Persist periodically while recording, and on every start/stop/annotation
+  useEffect(() => {
+    if (!recording) return;
+    const timer = setInterval(() => saveStored(nodeKey('recording', node), sessionRef.current), RECORDING_SAVE_INTERVAL);
     return () => clearInterval(timer);
-  }, [apiCall, delay]);
+  }, [recording]);
+
+  const update = (updater) => {
+    setSession((prev) => {
+      const next = updater(prev);
+      saveStored(nodeKey('recording', node), next);
+      return next;
+    });
+  };
+
+  const value = {
+    session,
+    recording,
+    start: (name, interval) =>
+      update(() => ({ name, node, interval, startedAt: Date.now(), stoppedAt: null, samples: [], annotations: [] })),
+    stop: () => update((prev) => prev && { ...prev, stoppedAt: Date.now() }),
+    annotate: (text) => update((prev) => prev && { ...prev, annotations: [...prev.annotations, { time: Date.now(), text }] }),
+    clear: () => update(() => null),
+  };
+
+  return <RecordingContext.Provider value={value}>{children}</RecordingContext.Provider>;
+};
+
+// Averages consecutive samples into at most 'maxPoints' buckets so long
+// recordings stay cheap to plot.
+function downsample(samples, maxPoints, key) {
+  const points = samples.filter((s) => s[key] !== null && !isNaN(s[key]));
+  if (points.length <= maxPoints) return points.map((s) => ({ time: s.time, value: s[key] }));
+  const bucketSize = points.length / maxPoints;
+  const result = [];
+  for (let i = 0; i < maxPoints; i++) {
+    const bucket = points.slice(Math.floor(i * bucketSize), Math.floor((i + 1) * bucketSize));
+    if (bucket.length === 0) continue;
+    result.push({
+      time: bucket[Math.floor(bucket.length / 2)].time,
+      value: bucket.reduce((sum, s) => sum + s[key], 0) / bucket.length,
+    });
+  }
+  return result;
+}
+
+// ---------------------
+// Recording Page
+// ---------------------
+const RecordingPage = () => {
+  const { session, recording, start, stop, annotate, clear } = useContext(RecordingContext);
+  const [name, setName] = useState('');
+  const [interval, setIntervalMs] = useState(1000);
+  const [annotation, setAnnotation] = useState('');
+  const [plotSignal, setPlotSignal] = useState('weight');
+  const chartRef = useRef(null);
+  const chartInstance = useRef(null);
+  const { theme, containerStyle, sectionStyle, inputStyle } = useStyles('900px');
+
+  const samples = session ? session.samples : [];
+  const plotData = downsample(samples, RECORDING_PLOT_POINTS, plotSignal);
+
+  useEffect(() => {
+    const ctx = chartRef.current.getContext('2d');
+    chartInstance.current = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: [],
+        datasets: [{
+          label: plotSignal,
+          data: [],
+          borderColor: theme.chartRecording,
+          pointRadius: 0,
+          fill: false,
+        }]
+      },
+      options: {
+        animation: false,
+        responsive: true,
+        maintainAspectRatio: false,
+      }
+    });
+    return () => {
+      if (chartInstance.current) chartInstance.current.destroy();
+    };
+  }, []); // once
+
+  useEffect(() => {
+    if (chartInstance.current) {
+      chartInstance.current.data.labels = plotData.map(d => new Date(d.time).toLocaleTimeString());
+      chartInstance.current.data.datasets[0].label = plotSignal;
+      chartInstance.current.data.datasets[0].data = plotData.map(d => d.value);
+      chartInstance.current.data.datasets[0].borderColor = theme.chartRecording;
+      chartInstance.current.update();
+    }
+  }, [samples.length, plotSignal, theme]);
+
+  const handleStart = () => {
+    if (session && session.samples.length > 0 && !window.confirm('Starting a new recording discards the current one. Continue?')) return;
+    start(name || `Recording ${new Date().toLocaleString()}`, interval);
+  };
+
+  const handleAnnotate = () => {
+    if (annotation.trim() === '') return;
+    annotate(annotation.trim());
+    setAnnotation('');
+  };
+
+  const baseName = () => `recording-${session ? new Date(session.startedAt).toISOString().replace(/[:.]/g, '-') : fileTimestamp()}`;
+
+  // Annotations are attached to the first sample at or after their time
+  const exportCsv = () => {
+    const notes = [...session.annotations];
+    const rows = session.samples.map((s) => {
+      const text = [];
+      while (notes.length > 0 && notes[0].time <= s.time) text.push(notes.shift().text);
+      return { ...s, timestamp: new Date(s.time).toISOString(), annotation: text.join('; ') };
+    });
+    const columns = ['timestamp', 'weight', 'raw', 'battery', 'vdd33', 'annotation'];
+    downloadFile(`${baseName()}.csv`, toCsv(columns, rows), 'text/csv');
+  };
+
+  const exportJson = () => {
+    downloadFile(`${baseName()}.json`, JSON.stringify(session, null, 2), 'application/json');
+  };
+
+  const canvasStyle = { width: '100%', height: '300px' };
+
+  return (
+    <div style={containerStyle}>
+      <h1>Recording</h1>
+
+      <div style={sectionStyle}>
+        <h2>Session</h2>
+        {recording ? (
+          <div>
+            <p>
+              <strong>● Recording:</strong> {session.name} since {new Date(session.startedAt).toLocaleString()}
+              {' '}({samples.length} samples every {session.interval / 1000}s)
+            </p>
+            <Button variant="danger" onClick={stop}>Stop Recording</Button>
+            <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+              <input
+                style={{ ...inputStyle, marginBottom: 0 }}
+                type="text"
+                placeholder="Annotation, e.g. added 500 g"
+                value={annotation}
+                onChange={(e) => setAnnotation(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleAnnotate()}
+              />
+              <Button style={{ margin: 0 }} onClick={handleAnnotate}>Annotate</Button>
+            </div>
+          </div>
+        ) : (
+          <div>
+            {session && (
+              <p>
+                Last recording: {session.name}, {new Date(session.startedAt).toLocaleString()} to{' '}
+                {new Date(session.stoppedAt).toLocaleString()} ({samples.length} samples)
+              </p>
+            )}
+            <label>Name:</label>
+            <input style={inputStyle} type="text" value={name} onChange={(e) => setName(e.target.value)} />
+            <label>Sample Interval:</label>
+            <select style={inputStyle} value={interval} onChange={(e) => setIntervalMs(parseInt(e.target.value, 10))}>
+              <option value={1000}>1 second</option>
+              <option value={5000}>5 seconds</option>
+              <option value={10000}>10 seconds</option>
+              <option value={60000}>1 minute</option>
+            </select>
+            <Button onClick={handleStart}>Start Recording</Button>
+          </div>
+        )}
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Recorded Data</h2>
+        <label>Signal:</label>
+        <select style={inputStyle} value={plotSignal} onChange={(e) => setPlotSignal(e.target.value)}>
+          <option value="weight">Weight</option>
+          <option value="raw">Raw Value</option>
+          <option value="battery">Battery Voltage</option>
+          <option value="vdd33">VDD33 (ROM PHY)</option>
+        </select>
+        <div style={{ width: '100%', marginTop: '10px' }}>
+          <canvas ref={chartRef} style={canvasStyle} />
+        </div>
+        {samples.length > RECORDING_PLOT_POINTS && (
+          <p style={{ fontSize: '12px' }}>{samples.length} samples averaged down to {plotData.length} points.</p>
+        )}
+        {session && session.annotations.length > 0 && (
+          <div>
+            <h3>Annotations</h3>
+            <ul>
+              {session.annotations.map((a, idx) => (
+                <li key={idx}>{new Date(a.time).toLocaleTimeString()}: {a.text}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+        <Button variant="secondary" onClick={exportCsv} disabled={!session}>Export CSV</Button>
+        <Button variant="secondary" onClick={exportJson} disabled={!session}>Export JSON</Button>
+        <Button
+          variant="danger"
+          onClick={() => window.confirm('Delete the recorded session?') && clear()}
+          disabled={!session || recording}
+        >
+          Delete Recording
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+// ---------------------
+// Scales Dashboard Page
+// ---------------------
+// Grid of every configured ESP-NOW node with its weight and battery state.
+// Nodes are discovered from the gateway or added by hand; selecting a node
+// scopes the other pages and all device calls to it.
+const ScalesDashboardPage = () => {
+  const { nodes, selectedNode, selectNode, setNodes } = useContext(NodeContext);
+  const [readings, setReadings] = useState({});    // { [id]: { data, timestamp, error } }
+  const [newId, setNewId] = useState('');
+  const [newName, setNewName] = useState('');
+  const [message, setMessage] = useState('');
+  const [batterySettings] = useStoredState('batterySettings', DEFAULT_BATTERY_SETTINGS);
+
+  // Poll each node's status in turn; the next round starts once all finished
+  useEffect(() => {
+    let active = true;
+    let timer = null;
+    const pollAll = () => {
+      Promise.all(nodes.map((n) =>
+        api.getStatus(n.id)
+          .then((data) => ({ id: n.id, reading: { data, timestamp: Date.now(), error: null } }))
+          .catch((err) => ({ id: n.id, error: err.message }))
+      )).then((results) => {
+        if (!active) return;
+        setReadings((prev) => {
+          const next = { ...prev };
+          results.forEach((r) => {
+            next[r.id] = r.reading || { ...(prev[r.id] || { data: null, timestamp: null }), error: r.error };
+          });
+          return next;
+        });
+        timer = setTimeout(pollAll, DASHBOARD_INTERVAL);
+      });
+    };
+    pollAll();
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [nodes]);
+
+  const discoverNodes = () => {
+    api.listNodes()
+      .then((discovered) => {
+        const known = new Set(nodes.map((n) => n.id));
+        const added = discovered.filter((n) => !known.has(n.id));
+        setNodes([...nodes, ...added]);
+        setMessage(`Discovered ${discovered.length} node(s), ${added.length} new.`);
+      })
+      .catch((err) => {
+        console.error('Error discovering nodes:', err);
+        setMessage('Node discovery failed; the gateway may not support it. Add nodes manually.');
+      });
+  };
 
-  return { data, timestamp };
-}
+  const addNode = () => {
+    const id = newId.trim();
+    if (id === '' || nodes.some((n) => n.id === id)) return;
+    setNodes([...nodes, { id, name: newName.trim() || id }]);
+    setNewId('');
+    setNewName('');
+  };
 
-// ---------------------
-// Navigation Component
-// ---------------------
-const Navigation = ({ activeTab, setActiveTab }) => {
-  const navStyle = {
-    display: 'flex',
-    gap: '20px',
-    justifyContent: 'center',
-    marginBottom: '20px',
+  const removeNode = (id) => {
+    if (!window.confirm(`Remove node ${id}?`)) return;
+    setNodes(nodes.filter((n) => n.id !== id));
+    if (selectedNode === id) selectNode(null);
   };
-  const buttonStyle = (tab) => ({
-    padding: '10px 20px',
-    cursor: 'pointer',
-    backgroundColor: activeTab === tab ? '#007bff' : '#ccc',
-    color: activeTab === tab ? '#fff' : '#333',
-    border: 'none',
-    borderRadius: '5px',
+
+  const { theme, containerStyle, sectionStyle, inputStyle, errorStyle } = useStyles('900px');
+
+  const cardStyle = (selected) => ({
+    padding: '10px',
+    borderRadius: '10px',
+    border: selected ? `2px solid ${theme.primary}` : `1px solid ${theme.border}`,
+    backgroundColor: theme.surfaceAlt,
   });
+
+  const levelColors = { normal: theme.success, warning: theme.caution, critical: theme.danger };
+
   return (
-    <nav style={navStyle}>
-      <button style={buttonStyle("home")} onClick={() => setActiveTab("home")}>
-        Home
-      </button>
-      <button style={buttonStyle("battery")} onClick={() => setActiveTab("battery")}>
-        Battery Monitor
-      </button>
-      <button style={buttonStyle("basicCalib")} onClick={() => setActiveTab("basicCalib")}>
-        Basic Calibration
-      </button>
-      <button style={buttonStyle("advCalib")} onClick={() => setActiveTab("advCalib")}>
-        Advanced Calibration
-      </button>
-    </nav>
+    <div style={containerStyle}>
+      <h1>Scales</h1>
+
+      <div style={{ ...sectionStyle, display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '10px' }}>
+        {nodes.length === 0 && <p>No nodes configured. The pages use the gateway's default scale.</p>}
+        {nodes.map((n) => {
+          const reading = readings[n.id];
+          const data = reading && reading.data;
+          const level = data ? batteryLevel(parseFloat(data.battery), batterySettings) : 'normal';
+          return (
+            <div key={n.id} style={cardStyle(selectedNode === n.id)}>
+              <h3 style={{ margin: '0 0 5px' }}>{n.name}</h3>
+              <p style={{ fontSize: '12px', margin: 0 }}>ID: {n.id}</p>
+              <p style={{ fontSize: '28px', margin: '10px 0' }}>{data ? `${data.weight} kg` : '---'}</p>
+              <p style={{ margin: 0, color: levelColors[level] }}>
+                Battery: {data ? `${data.battery} V` : '---'}
+              </p>
+              {reading && reading.error && <p style={errorStyle}>Unreachable: {reading.error}</p>}
+              {reading && reading.timestamp && (
+                <p style={{ fontSize: '12px' }}>Updated {new Date(reading.timestamp).toLocaleTimeString()}</p>
+              )}
+              <Button onClick={() => selectNode(n.id)} disabled={selectedNode === n.id}>
+                {selectedNode === n.id ? 'Selected' : 'Select'}
+              </Button>
+              <Button variant="danger" onClick={() => removeNode(n.id)}>
+                Remove
+              </Button>
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Configure Nodes</h2>
+        <Button variant="secondary" onClick={discoverNodes}>Discover Nodes</Button>
+        {selectedNode && (
+          <Button onClick={() => selectNode(null)}>Use Default Scale</Button>
+        )}
+        <div style={{ display: 'flex', gap: '10px', marginTop: '10px', alignItems: 'center' }}>
+          <input style={inputStyle} type="text" placeholder="Node ID (e.g. MAC address)" value={newId} onChange={(e) => setNewId(e.target.value)} />
+          <input style={inputStyle} type="text" placeholder="Name" value={newName} onChange={(e) => setNewName(e.target.value)} />
+          <Button style={{ margin: 0 }} onClick={addNode}>Add</Button>
+        </div>
+        {message && <p>{message}</p>}
+      </div>
+
+    </div>
   );
 };
 
 // ---------------------
-// Home Page: Weight & Battery Status
+// Simulator Panel
 // ---------------------
-const HomePage = () => {
-  const [scaleData, setScaleData] = useState({});
-  const [statusIcon, setStatusIcon] = useState('green');
-
-  // Poll the /api/status endpoint every 5 seconds (using native setInterval here)
-  useEffect(() => {
-    const interval = setInterval(() => {
-      fetch('/api/status')
-        .then((res) => res.json())
-        .then((data) => {
-          setScaleData(data);
-          setStatusIcon(data.battery < 3.1 ? 'red' : 'green');
-        })
-        .catch((err) => console.error('Error fetching status:', err));
-    }, 5000);
-    return () => clearInterval(interval);
-  }, []);
+// Controls for the device simulator, shown on every page while it is enabled
+// so loads can be placed during calibration flows.
+const SimulatorPanel = () => {
+  const node = useSelectedNode();
+  const [params, setParams] = useState(simulator.getParams());
+  const [load, setLoad] = useState(simulator.getLoad(node));
+  const [customLoad, setCustomLoad] = useState('');
+  const [expanded, setExpanded] = useState(true);
+  const styles = useStyles();
+  const { theme } = styles;
 
-  const containerStyle = {
-    display: 'flex',
-    flexDirection: 'column',
-    alignItems: 'center',
-    padding: '20px',
-    backgroundColor: '#f5f5f5',
-    borderRadius: '10px',
-    boxShadow: '0 0 10px rgba(0,0,0,0.2)',
-    maxWidth: '500px',
-    margin: 'auto',
+  const placeLoad = (grams) => {
+    simulator.setLoad(node, grams);
+    setLoad(grams);
+  };
+
+  const updateParam = (key, value) => {
+    simulator.setParams({ [key]: value });
+    setParams(simulator.getParams());
+  };
+
+  const panelStyle = {
+    maxWidth: '900px',
+    margin: '0 auto 20px',
+    padding: '10px',
+    borderRadius: '5px',
+    border: `2px dashed ${theme.accent}`,
+    backgroundColor: theme.surfaceAlt,
+    color: theme.text,
+    fontSize: '14px',
   };
+  const buttonStyle = { margin: '3px 5px 3px 0' };
+  const inputStyle = { ...styles.inputStyle, width: '80px', marginBottom: 0 };
+
+  const numberInput = (key, step) => (
+    <input
+      style={inputStyle}
+      type="number"
+      step={step}
+      value={params[key]}
+      onChange={(e) => updateParam(key, parseFloat(e.target.value) || 0)}
+    />
+  );
 
   return (
-    <div style={containerStyle}>
-      <h1>ESP NOW Weight Scale</h1>
-      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '15px' }}>
-        <span style={{ fontSize: '24px' }}>
-          {statusIcon === 'green' ? '🟢' : '🔴'}
-        </span>
-        <p>Status: {statusIcon === 'green' ? 'Normal' : 'Low Battery'}</p>
+    <div style={panelStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong>Simulator{node ? ` · ${node}` : ''}: {load} g on the platform</strong>
+        <Button size="small" variant="secondary" aria-expanded={expanded} onClick={() => setExpanded(!expanded)}>{expanded ? 'Hide' : 'Show'}</Button>
       </div>
-      {scaleData.weight !== undefined && (
-        <div style={{ width: '100%', textAlign: 'left' }}>
-          <h2>Measurement Data</h2>
-          <p><strong>Weight:</strong> {scaleData.weight} kg</p>
-          <p><strong>Battery Level:</strong> {scaleData.battery} V</p>
-          <p><strong>VDD33 (ROM PHY):</strong> {scaleData.rom_phy_get_vdd33}</p>
+      {expanded && (
+        <div>
+          <div>
+            {SIMULATOR_LOADS.map((grams) => (
+              <Button key={grams} size="small" variant="accent" style={buttonStyle} onClick={() => placeLoad(grams)}>{grams} g</Button>
+            ))}
+            <input
+              style={inputStyle}
+              type="number"
+              placeholder="grams"
+              aria-label="Custom load in grams"
+              value={customLoad}
+              onChange={(e) => setCustomLoad(e.target.value)}
+            />
+            <Button size="small" variant="accent" style={{ ...buttonStyle, marginLeft: '5px' }} onClick={() => customLoad !== '' && placeLoad(parseFloat(customLoad))}>Place</Button>
+          </div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginTop: '5px', alignItems: 'center' }}>
+            <label>Noise (counts): {numberInput('noise', 1)}</label>
+            <label>Drift (counts/h): {numberInput('drift', 10)}</label>
+            <label>Non-linearity (%): {numberInput('nonLinearity', 0.1)}</label>
+            <label>Battery discharge (V/h): {numberInput('batteryDischarge', 0.01)}</label>
+            <label>Temperature effect (counts/°C): {numberInput('temperatureCoefficient', 1)}</label>
+            <label>
+              <input type="checkbox" checked={!params.connected} onChange={(e) => updateParam('connected', !e.target.checked)} />
+              {' '}Simulate connection loss
+            </label>
+            <Button size="small" variant="secondary" style={buttonStyle} onClick={() => simulator.reset()}>Reset Drift & Battery</Button>
+          </div>
         </div>
       )}
-      <div style={{ marginTop: '15px' }}>
-        <button
-          onClick={() => {
-            fetch('/espnow_weight_real')
-              .then((res) => res.json())
-              .then((data) => setScaleData(data))
-              .catch((err) => console.error('Error fetching weight:', err));
-          }}
-          style={{
-            padding: '8px 15px',
-            fontSize: '14px',
-            backgroundColor: '#007bff',
-            color: '#fff',
-            border: 'none',
-            borderRadius: '5px',
-            cursor: 'pointer',
-          }}
-        >
-          Refresh Data
-        </button>
-      </div>
     </div>
   );
 };
 
 // ---------------------
-// Battery Monitor Page with Live Plotting
+// Compensation Page
 // ---------------------
-const BatteryPage = () => {
-  const chartRef = useRef(null);
-  const chartInstance = useRef(null);
-  const [currentRom, setCurrentRom] = useState(null);
-  // We'll keep our own data array with { time, value }
-  const [plotData, setPlotData] = useState([]);
+// Records zero and span points at different temperatures and a creep test
+// under constant load, fits compensation coefficients, previews the corrected
+// weight and exports the coefficients for the firmware.
+const CompensationPage = () => {
+  const node = useSelectedNode();
+  const [settings] = useSettings();
+  const { data, timestamp: rawTime } = useTelemetrySample('raw');
+  const { data: status } = useTelemetrySample('status');
+  const rawBuffer = useSignalHistory('raw', settings.meanWindow);
+  const stability = useStability();
+  const [session, setSession] = useStoredState(nodeKey('compensation', node), { records: [], creep: [], creepTimeConstant: CREEP_TIME_CONSTANT });
+  const [loadedSince, setLoadedSince] = useState(null);  // time of the first loaded sample
+  const [manualTemp, setManualTemp] = useState('');
+  const [spanLoad, setSpanLoad] = useState('');
+  const [creepLoad, setCreepLoad] = useState('');
+  const [creepStart, setCreepStart] = useState(null);    // { time, raw } while a creep test runs
+  const [message, setMessage] = useState('');
 
-  // Use our polling hook on the /api/status endpoint
-  const { data } = usePolling(() => fetch('/api/status').then((res) => res.json()), DEFAULT_DELTA_T);
+  const meanRaw = rawBuffer.length > 0 ? rawBuffer.reduce((sum, s) => sum + s.value, 0) / rawBuffer.length : null;
+  const calibration = data ? { scale: parseFloat(data.current_scale), offset: parseFloat(data.current_offset) } : null;
+  // A temperature reported by the device takes precedence over manual entry
+  const deviceTemp = status && status.temperature !== undefined ? parseFloat(status.temperature) : NaN;
+  const temperature = Number.isFinite(deviceTemp) ? deviceTemp : parseFloat(manualTemp);
 
-  // When new data comes in, update plotData (only keep data within MAX_PLOT_DURATION)
-  useEffect(() => {
-    if (data && typeof data.rom_phy_get_vdd33 !== "undefined") {
-      const now = Date.now();
-      setCurrentRom(data.rom_phy_get_vdd33);
-      setPlotData((prev) => {
-        const newData = [...prev, { time: now, value: data.rom_phy_get_vdd33 }];
-        return newData.filter((d) => now - d.time <= MAX_PLOT_DURATION);
-      });
-    }
-  }, [data]);
+  const tempFit = calibration ? fitTemperatureCompensation(session.records, calibration) : null;
+  const creepCoeff = fitCreep(session.creep, session.creepTimeConstant);
+  const compensation = tempFit && { ...tempFit, creepCoeff, creepTimeConstant: session.creepTimeConstant };
 
-  // Set up Chart.js
+  // Time the current load has been on the scale, for the creep correction
+  const rawNow = data ? parseFloat(data.raw_value) : NaN;
+  const uncorrected = calibration && Number.isFinite(rawNow) ? (rawNow - calibration.offset) / calibration.scale : null;
+  const loaded = uncorrected !== null && Math.abs(uncorrected) > CREEP_LOAD_THRESHOLD;
   useEffect(() => {
-    const ctx = chartRef.current.getContext('2d');
-    chartInstance.current = new Chart(ctx, {
-      type: 'line',
-      data: {
-        labels: plotData.map(d => new Date(d.time).toLocaleTimeString()),
-        datasets: [{
-          label: 'rom_phy_get_vdd33',
-          data: plotData.map(d => d.value),
-          borderColor: 'blue',
-          fill: false,
-        }]
-      },
-      options: {
-        animation: false,
-        responsive: true,
-        maintainAspectRatio: false,
-        scales: {
-          x: { display: false }
-        }
-      }
-    });
-    return () => {
-      if (chartInstance.current) chartInstance.current.destroy();
-    };
-  }, []); // initialize once
+    setLoadedSince(loaded ? rawTime : null);
+  }, [loaded]);
+  const loadedFor = loaded && loadedSince !== null ? rawTime - loadedSince : 0;
+  const corrected = compensation && Number.isFinite(rawNow) ? compensateWeight(rawNow, temperature, loadedFor, compensation) : null;
 
-  // Update chart when plotData changes
+  // Creep test: one averaged sample per CREEP_SAMPLE_INTERVAL, relative to the first
+  const meanRef = useRef(meanRaw);
+  meanRef.current = meanRaw;
   useEffect(() => {
-    if (chartInstance.current) {
-      chartInstance.current.data.labels = plotData.map(d => new Date(d.time).toLocaleTimeString());
-      chartInstance.current.data.datasets[0].data = plotData.map(d => d.value);
-      chartInstance.current.update();
+    if (creepStart === null) return;
+    const timer = setInterval(() => {
+      if (meanRef.current === null) return;
+      const relative = (meanRef.current - creepStart.raw) / (creepStart.raw - creepStart.offset);
+      // Read the stored session, the closure's copy is from when the test started
+      const current = { ...session, ...loadStored(nodeKey('compensation', node), {}) };
+      setSession({ ...current, creep: [...current.creep, { elapsed: Date.now() - creepStart.time, relative }] });
+    }, CREEP_SAMPLE_INTERVAL);
+    return () => clearInterval(timer);
+  }, [creepStart]);
+
+  const addRecord = (kind, load) => {
+    if (!stability.stable || meanRaw === null) {
+      setMessage('Wait for a stable reading before recording.');
+      return;
     }
-  }, [plotData]);
+    if (!Number.isFinite(temperature)) {
+      setMessage('Enter the current temperature first.');
+      return;
+    }
+    const record = { kind, time: Date.now(), temperature, raw: meanRaw, load };
+    setSession({ ...session, records: [...session.records, record] });
+    setMessage(`Recorded ${kind} point at ${temperature} °C`);
+  };
 
-  const containerStyle = {
-    display: 'flex',
-    flexDirection: 'column',
-    alignItems: 'center',
-    padding: '20px',
-    backgroundColor: '#fff',
-    borderRadius: '10px',
-    boxShadow: '0 0 10px rgba(0,0,0,0.2)',
-    maxWidth: '600px',
-    margin: 'auto',
+  const removeRecord = (index) => {
+    setSession({ ...session, records: session.records.filter((_, i) => i !== index) });
+  };
+
+  const startCreepTest = () => {
+    const load = parseFloat(creepLoad);
+    if (!(load > 0) || meanRaw === null || !calibration || !stability.stable) {
+      setMessage('Place the load, enter its weight and wait for a stable reading.');
+      return;
+    }
+    setSession({ ...session, creep: [], creepLoad: load });
+    setCreepStart({ time: Date.now(), raw: meanRaw, offset: calibration.offset });
+  };
+
+  const exportCoefficients = (format) => {
+    if (!compensation) return;
+    const coefficients = {
+      node,
+      exportedAt: new Date().toISOString(),
+      referenceTemp: compensation.referenceTemp,
+      offset: compensation.offset,
+      scale: compensation.scale,
+      zeroCoeff: compensation.zeroCoeff || 0,
+      spanCoeff: compensation.spanCoeff || 0,
+      creepCoeff: compensation.creepCoeff || 0,
+      creepTimeConstant: compensation.creepTimeConstant / 1000,
+    };
+    if (format === 'json') {
+      downloadFile(`compensation-${fileTimestamp()}.json`, JSON.stringify(coefficients, null, 2), 'application/json');
+      return;
+    }
+    const header = [
+      `// Load cell compensation${node ? ` for ${node}` : ''}, exported ${coefficients.exportedAt}`,
+      '// offset(T) = OFFSET + ZERO_COEFF * (T - REF_TEMP)',
+      '// scale(T)  = SCALE * (1 + SPAN_COEFF * (T - REF_TEMP))',
+      '// weight    = (raw - offset(T)) / scale(T) / (1 + CREEP_COEFF * (1 - exp(-t / CREEP_TIME_CONSTANT)))',
+      `#define COMP_REF_TEMP ${coefficients.referenceTemp.toFixed(3)}f`,
+      `#define COMP_OFFSET ${coefficients.offset.toFixed(3)}f`,
+      `#define COMP_SCALE ${coefficients.scale.toFixed(6)}f`,
+      `#define COMP_ZERO_COEFF ${coefficients.zeroCoeff.toExponential(6)}f`,
+      `#define COMP_SPAN_COEFF ${coefficients.spanCoeff.toExponential(6)}f`,
+      `#define COMP_CREEP_COEFF ${coefficients.creepCoeff.toExponential(6)}f`,
+      `#define COMP_CREEP_TIME_CONSTANT ${coefficients.creepTimeConstant.toFixed(1)}f`,
+    ].join('\n');
+    downloadFile(`compensation-${fileTimestamp()}.h`, `${header}\n`, 'text/plain');
   };
-  const canvasStyle = { width: '100%', height: '300px' };
+
+  const format = (value, digits = 3) => (value === null || value === undefined || !Number.isFinite(value) ? 'N/A' : value.toFixed(digits));
+
+  const styles = useStyles('800px');
+  const { containerStyle, sectionStyle, cellStyle } = styles;
+  const inputStyle = { ...styles.inputStyle, width: '120px' };
 
   return (
     <div style={containerStyle}>
-      <h1>Battery Monitor</h1>
-      <p>Current ROM VDD33: {currentRom !== null ? currentRom : 'Loading...'}</p>
-      <div style={{ width: '100%', marginTop: '20px' }}>
-        <canvas ref={chartRef} style={canvasStyle} />
+      <h1>Temperature & Creep Compensation</h1>
+
+      <div style={sectionStyle}>
+        <h2>Current Reading</h2>
+        <p><strong>Mean Raw Value ({settings.meanWindow / 1000}s):</strong> {format(meanRaw, 1)} <StabilityIndicator stability={stability} /></p>
+        <p>
+          <strong>Temperature:</strong>{' '}
+          {Number.isFinite(deviceTemp) ? (
+            `${deviceTemp.toFixed(1)} °C (reported by the device)`
+          ) : (
+            <span>
+              <input style={inputStyle} type="number" step="0.1" placeholder="°C" value={manualTemp} onChange={(e) => setManualTemp(e.target.value)} />
+              {' '}°C, entered manually (the device reports no temperature)
+            </span>
+          )}
+        </p>
       </div>
+
+      <div style={sectionStyle}>
+        <h2>Zero & Span Points</h2>
+        <p>Record points over the temperature range the scale sees, e.g. morning and afternoon.</p>
+        <Button onClick={() => addRecord('zero', 0)}>Record Zero (scale empty)</Button>
+        <span>
+          <input style={inputStyle} type="number" placeholder="Load (g)" value={spanLoad} onChange={(e) => setSpanLoad(e.target.value)} />
+          <Button style={{ marginLeft: '5px' }} onClick={() => addRecord('span', parseFloat(spanLoad))} disabled={!(parseFloat(spanLoad) > 0)}>
+            Record Span
+          </Button>
+        </span>
+        {session.records.length > 0 && (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+            <thead>
+              <tr>
+                <th style={cellStyle}>Time</th>
+                <th style={cellStyle}>Kind</th>
+                <th style={cellStyle}>Temp (°C)</th>
+                <th style={cellStyle}>Raw</th>
+                <th style={cellStyle}>Load (g)</th>
+                <th style={cellStyle}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {session.records.map((r, idx) => (
+                <tr key={idx}>
+                  <td style={cellStyle}>{new Date(r.time).toLocaleString()}</td>
+                  <td style={cellStyle}>{r.kind}</td>
+                  <td style={cellStyle}>{format(r.temperature, 1)}</td>
+                  <td style={cellStyle}>{format(r.raw, 1)}</td>
+                  <td style={cellStyle}>{r.kind === 'span' ? r.load : ''}</td>
+                  <td style={cellStyle}>
+                    <Button size="small" variant="danger" onClick={() => removeRecord(idx)}>
+                      Remove
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Creep Test</h2>
+        <p>
+          Place a known load and keep it on the scale at constant temperature. The relative change of the reading is sampled every
+          {' '}{CREEP_SAMPLE_INTERVAL / 1000} s and fitted with a time constant of {session.creepTimeConstant / 60000} minutes.
+        </p>
+        {creepStart === null ? (
+          <span>
+            <input style={inputStyle} type="number" placeholder="Load (g)" value={creepLoad} onChange={(e) => setCreepLoad(e.target.value)} />
+            <Button style={{ marginLeft: '5px' }} onClick={startCreepTest}>Start Creep Test</Button>
+          </span>
+        ) : (
+          <Button variant="secondary" onClick={() => setCreepStart(null)}>Stop Creep Test</Button>
+        )}
+        <p>
+          {session.creep.length} samples
+          {session.creep.length > 0 && `, last change ${format(session.creep[session.creep.length - 1].relative * 100, 4)} % after ${Math.round(session.creep[session.creep.length - 1].elapsed / 60000)} min`}
+        </p>
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Fitted Coefficients</h2>
+        {compensation ? (
+          <div>
+            <p><strong>Reference temperature:</strong> {format(compensation.referenceTemp, 2)} °C</p>
+            <p><strong>Zero coefficient:</strong> {compensation.zeroCoeff !== null ? `${format(compensation.zeroCoeff, 3)} counts/°C` : 'needs zero points at two temperatures'}</p>
+            <p><strong>Span coefficient:</strong> {compensation.spanCoeff !== null ? `${format(compensation.spanCoeff * 1e6, 1)} ppm/°C` : 'needs span points at two temperatures'}</p>
+            <p><strong>Creep coefficient:</strong> {creepCoeff !== null ? `${format(creepCoeff * 100, 4)} % of the load` : 'run a creep test'}</p>
+            <Button variant="secondary" onClick={() => exportCoefficients('json')}>Export JSON</Button>
+            <Button variant="secondary" onClick={() => exportCoefficients('header')}>Export C Header</Button>
+          </div>
+        ) : (
+          <p>Record zero and span points to fit the compensation.</p>
+        )}
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Preview</h2>
+        <p><strong>Uncorrected weight:</strong> {uncorrected !== null ? `${format(uncorrected)} g` : 'N/A'}</p>
+        <p><strong>Compensated weight:</strong> {corrected !== null ? `${format(corrected)} g` : 'N/A'}</p>
+        <p style={{ fontSize: '12px' }}>
+          Load on the scale for {Math.round(loadedFor / 1000)} s{!Number.isFinite(temperature) && '; no temperature, temperature compensation not applied'}.
+        </p>
+      </div>
+
+      {message && (
+        <StatusMessage>{message}</StatusMessage>
+      )}
     </div>
   );
 };
 
 // ---------------------
-// Basic Calibration Page
+// Diagnostics Page
 // ---------------------
-const BasicCalibrationPage = () => {
-  const [calData, setCalData] = useState({ raw_value: null, current_scale: '', current_offset: '' });
-  const [newScale, setNewScale] = useState('');
-  const [newOffset, setNewOffset] = useState('');
-  const [rawSim, setRawSim] = useState('');
-  const [simulatedWeight, setSimulatedWeight] = useState(null);
-  const [message, setMessage] = useState('');
-  const chartRef = useRef(null);
-  const chartInstance = useRef(null);
-  const [plotData, setPlotData] = useState([]);
+// Records raw values for a chosen duration to judge the health of the load
+// cell and amplifier: noise, Allan deviation, drift, histogram and effective
+// resolution. Keep the scale unloaded and undisturbed while recording.
+const DiagnosticsPage = () => {
+  const telemetry = useTelemetryStore();
+  const { data } = useTelemetrySample('raw');
+  const [duration, setDuration] = useState(60000);
+  const samplesRef = useRef([]);                        // every sample, appended as it arrives
+  const [samples, setSamples] = useState([]);           // copy of samplesRef, refreshed once a second
+  const [startedAt, setStartedAt] = useState(null);     // set while recording
+  const [now, setNow] = useState(Date.now());
+  const histogramRef = useRef(null);
+  const histogramChart = useRef(null);
+  const styles = useStyles('800px');
+  const { theme, containerStyle, sectionStyle, cellStyle } = styles;
 
-  // Poll the calibration endpoint using our custom hook
-  const { data } = usePolling(() => fetch('/api/scale/raw').then((res) => res.json()), DEFAULT_DELTA_T);
+  const recording = startedAt !== null;
+  const scale = data ? parseFloat(data.current_scale) : NaN;
 
-  // Update calibration data and plot (keeping data for MAX_PLOT_DURATION)
+  // Collect every raw update of the store until the duration is reached. The
+  // page and the statistics follow once a second instead of on every sample,
+  // as recordings of several hours hold tens of thousands of samples.
   useEffect(() => {
-    if (data) {
-      setCalData(data);
-      if (newScale === '') setNewScale(data.current_scale);
-      if (newOffset === '') setNewOffset(data.current_offset);
-      const now = Date.now();
-      setPlotData((prev) => {
-        const newData = [...prev, { time: now, value: data.raw_value }];
-        return newData.filter((d) => now - d.time <= MAX_PLOT_DURATION);
-      });
-    }
-  }, [data]);
+    if (!recording) return;
+    const unsubscribe = telemetry.subscribe((kind) => {
+      if (kind !== 'raw') return;
+      const latest = telemetry.getLatest('raw');
+      const value = parseFloat(latest.data.raw_value);
+      if (!isNaN(value)) samplesRef.current.push({ time: latest.timestamp, value });
+    });
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      setSamples(samplesRef.current.slice());
+      if (Date.now() - startedAt >= duration) setStartedAt(null);
+    }, 1000);
+    return () => {
+      unsubscribe();
+      clearInterval(timer);
+      setSamples(samplesRef.current.slice());
+    };
+  }, [recording]);
 
-  // Set up Chart.js for live raw value plot
+  const { stats, allan, drift, histogram } = useMemo(() => ({
+    stats: computeNoiseStats(samples),
+    allan: computeAllanDeviation(samples),
+    drift: slopePerHour(samples),
+    histogram: computeHistogram(samples.map((s) => s.value), DIAGNOSTICS_HISTOGRAM_BINS),
+  }), [samples]);
+  const resolution = effectiveResolution(stats);
+  const toGrams = (counts) => (Number.isFinite(scale) && scale !== 0 ? counts / Math.abs(scale) : null);
+
+  // Histogram as a bar chart
   useEffect(() => {
-    const ctx = chartRef.current.getContext('2d');
-    chartInstance.current = new Chart(ctx, {
-      type: 'line',
-      data: {
-        labels: plotData.map(d => new Date(d.time).toLocaleTimeString()),
-        datasets: [{
-          label: 'Raw Value',
-          data: plotData.map(d => d.value),
-          borderColor: 'green',
-          fill: false,
-        }]
-      },
+    const ctx = histogramRef.current.getContext('2d');
+    histogramChart.current = new Chart(ctx, {
+      type: 'bar',
+      data: { labels: [], datasets: [{ label: 'Samples', data: [], backgroundColor: theme.chartHistogram }] },
       options: {
         animation: false,
         responsive: true,
         maintainAspectRatio: false,
-        scales: { x: { display: false } }
-      }
+        scales: { x: { title: { display: true, text: 'Raw Value' } }, y: { title: { display: true, text: 'Count' } } },
+      },
     });
     return () => {
-      if (chartInstance.current) chartInstance.current.destroy();
+      if (histogramChart.current) histogramChart.current.destroy();
     };
   }, []); // once
 
   useEffect(() => {
-    if (chartInstance.current) {
-      chartInstance.current.data.labels = plotData.map(d => new Date(d.time).toLocaleTimeString());
-      chartInstance.current.data.datasets[0].data = plotData.map(d => d.value);
-      chartInstance.current.update();
+    if (histogramChart.current) {
+      histogramChart.current.data.labels = histogram.map((bin) => Math.round((bin.from + bin.to) / 2));
+      histogramChart.current.data.datasets[0].data = histogram.map((bin) => bin.count);
+      histogramChart.current.data.datasets[0].backgroundColor = theme.chartHistogram;
+      histogramChart.current.update('none');
     }
-  }, [plotData]);
+  }, [histogram, theme]);
 
-  // Simulator: weight (in grams) = (raw input - offset) / scale
-  const simulateWeight = (raw, scale, offset) => {
-    if (!raw || !scale || !offset) return null;
-    const r = parseFloat(raw), s = parseFloat(scale), o = parseFloat(offset);
-    if (isNaN(r) || isNaN(s) || isNaN(o) || s === 0) return null;
-    return ((r - o) / s).toFixed(3);
+  const start = () => {
+    samplesRef.current = [];
+    setSamples([]);
+    setNow(Date.now());
+    setStartedAt(Date.now());
   };
 
-  useEffect(() => {
-    const sim = simulateWeight(rawSim, newScale, newOffset);
-    setSimulatedWeight(sim);
-  }, [rawSim, newScale, newOffset]);
-
-  const fetchCalibration = () => {
-    fetch('/api/scale/raw')
-      .then((res) => res.json())
-      .then((data) => {
-        setCalData(data);
-        setNewScale(data.current_scale);
-        setNewOffset(data.current_offset);
-      })
-      .catch((err) => console.error('Error fetching calibration:', err));
+  const exportCsv = () => {
+    const rows = samples.map((s) => ({ timestamp: new Date(s.time).toISOString(), raw_value: s.value }));
+    downloadFile(`noise-${fileTimestamp()}.csv`, toCsv(['timestamp', 'raw_value'], rows), 'text/csv');
   };
 
-  const handleTare = () => {
-    fetch('/api/scale/tare')
-      .then((res) => res.text())
-      .then((txt) => {
-        setMessage(txt);
-        fetchCalibration();
-      })
-      .catch((err) => console.error('Error taring scale:', err));
-  };
+  const format = (value, digits = 2) => (value === null || value === undefined || !Number.isFinite(value) ? 'N/A' : value.toFixed(digits));
+  const withGrams = (counts, digits = 2, suffix = '') =>
+    `${format(counts, digits)} counts${suffix}${toGrams(counts) !== null ? ` (${format(toGrams(counts), 4)} g${suffix})` : ''}`;
 
-  const handleSetCalibration = () => {
-    if (parseFloat(newScale) === 0) {
-      setMessage("Invalid scale value");
-      return;
-    }
-    fetch(`/api/scale/set_calibration?scale=${newScale}&offset=${newOffset}`)
-      .then((res) => res.text())
-      .then((txt) => {
-        setMessage(txt);
-        fetchCalibration();
-      })
-      .catch((err) => console.error('Error setting calibration:', err));
-  };
+  const inputStyle = { ...styles.inputStyle, width: 'auto' };
+
+  return (
+    <div style={containerStyle}>
+      <h1>Noise & Drift Diagnostics</h1>
+
+      <div style={sectionStyle}>
+        <p>Leave the scale unloaded and undisturbed while recording. Results update live.</p>
+        <label>Duration: </label>
+        <select style={inputStyle} value={duration} onChange={(e) => setDuration(parseInt(e.target.value, 10))} disabled={recording}>
+          {DIAGNOSTICS_DURATIONS.map((d) => <option key={d.value} value={d.value}>{d.label}</option>)}
+        </select>
+        <div>
+          {recording ? (
+            <Button variant="secondary" onClick={() => setStartedAt(null)}>Stop</Button>
+          ) : (
+            <Button onClick={start}>Start Recording</Button>
+          )}
+          <Button variant="secondary" onClick={exportCsv} disabled={samples.length === 0}>Export CSV</Button>
+        </div>
+        <p>
+          {recording
+            ? `Recording: ${samples.length} samples, ${Math.max(0, Math.ceil((startedAt + duration - now) / 1000))} s remaining`
+            : `${samples.length} samples recorded`}
+        </p>
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Results</h2>
+        {stats ? (
+          <div>
+            <p><strong>Mean:</strong> {format(stats.mean)} counts over {format(stats.duration / 1000, 0)} s</p>
+            <p><strong>Standard deviation (RMS noise):</strong> {withGrams(stats.stdDev)}</p>
+            <p><strong>Peak-to-peak noise:</strong> {withGrams(stats.peakToPeak, 0)}</p>
+            <p><strong>Drift:</strong> {drift !== null ? withGrams(drift, 1, '/h') : 'N/A'}</p>
+            {resolution && (
+              <p>
+                <strong>Effective resolution:</strong> {format(resolution.effectiveBits, 1)} bits RMS,
+                {' '}{format(resolution.noiseFreeBits, 1)} bits noise-free (of {Math.log2(ADC_FULL_SCALE)})
+                {toGrams(stats.stdDev) !== null && `; smallest reliable step ≈ ${format(toGrams(stats.peakToPeak), 3)} g`}
+              </p>
+            )}
+            {!Number.isFinite(scale) && <p style={{ fontSize: '12px' }}>Gram values need the current scale from the device.</p>}
+          </div>
+        ) : (
+          <p>Record at least two samples.</p>
+        )}
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Allan Deviation</h2>
+        {allan.length > 0 ? (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+            <thead>
+              <tr>
+                <th style={cellStyle}>τ (s)</th>
+                <th style={cellStyle}>σ (counts)</th>
+                <th style={cellStyle}>σ (g)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {allan.map((row) => (
+                <tr key={row.tau}>
+                  <td style={cellStyle}>{format(row.tau, 1)}</td>
+                  <td style={cellStyle}>{format(row.deviation)}</td>
+                  <td style={cellStyle}>{toGrams(row.deviation) !== null ? format(toGrams(row.deviation), 4) : 'N/A'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p>Record at least three samples.</p>
+        )}
+        <p style={{ fontSize: '12px' }}>
+          Falling σ with longer τ means white noise that averaging removes; a minimum followed by a rise marks where drift takes over.
+        </p>
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Histogram</h2>
+        <div style={{ width: '100%' }}>
+          <canvas ref={histogramRef} style={{ width: '100%', height: '250px' }} />
+        </div>
+      </div>
+
+      <div style={sectionStyle}>
+        <h2>Recorded Raw Values</h2>
+        <LiveChart
+          series={[{ label: 'Raw Value', data: samples, color: theme.chartRaw }]}
+          duration={duration}
+          endTime={recording || samples.length === 0 ? null : samples[samples.length - 1].time}
+          axes={{ y: 'Raw Value' }}
+          filename="noise"
+        />
+      </div>
+    </div>
+  );
+};
+
+// ---------------------
+// Alerts Page
+// ---------------------
+const AlertsPage = () => {
+  const [alertSettings, setAlertSettings] = useStoredState('alertRules', { rules: [] });
+  const [history, clearHistory] = useAlertHistory();
+  const [draft, setDraft] = useState({ name: '', signal: 'weight', condition: 'below', threshold: '', duration: '60', notify: true, sound: false });
+  const [permission, setPermission] = useState('Notification' in window ? Notification.permission : 'unsupported');
+  const [message, setMessage] = useState('');
+  const rules = alertSettings.rules;
+
+  const updateDraft = (key, value) => setDraft({ ...draft, [key]: value });
 
-  const handleSaveCalibration = () => {
-    fetch('/save')
-      .then((res) => res.text())
-      .then((txt) => setMessage(txt))
-      .catch((err) => console.error('Error saving calibration:', err));
+  const addRule = () => {
+    if (isNaN(parseFloat(draft.threshold))) {
+      setMessage('Enter a numeric threshold');
+      return;
+    }
+    const rule = { ...draft, id: Date.now().toString(36), enabled: true };
+    if (rule.condition === 'offline') rule.signal = 'connection';
+    setAlertSettings({ ...alertSettings, rules: [...rules, rule] });
+    setDraft({ ...draft, name: '', threshold: '' });
+    setMessage(`Added rule: ${describeAlertRule(rule)}`);
   };
 
-  const containerStyle = {
-    display: 'flex',
-    flexDirection: 'column',
-    alignItems: 'center',
-    padding: '20px',
-    backgroundColor: '#fff',
-    borderRadius: '10px',
-    boxShadow: '0 0 10px rgba(0,0,0,0.2)',
-    maxWidth: '800px',
-    margin: 'auto',
+  const updateRule = (id, changes) => {
+    setAlertSettings({ ...alertSettings, rules: rules.map((r) => (r.id === id ? { ...r, ...changes } : r)) });
   };
 
-  const sectionStyle = {
-    width: '100%',
-    marginBottom: '20px',
-    padding: '10px',
-    border: '1px solid #ddd',
-    borderRadius: '5px',
+  const removeRule = (id) => {
+    if (!window.confirm('Delete this alert rule?')) return;
+    setAlertSettings({ ...alertSettings, rules: rules.filter((r) => r.id !== id) });
   };
 
-  const inputStyle = {
-    padding: '5px',
-    fontSize: '14px',
-    borderRadius: '5px',
-    border: '1px solid #ccc',
-    marginBottom: '5px',
-    width: '100%',
+  const requestPermission = () => {
+    Notification.requestPermission().then(setPermission);
   };
 
-  // Danger (red) style for calibration actions
-  const dangerButtonStyle = {
-    padding: '8px 15px',
-    fontSize: '14px',
-    backgroundColor: 'red',
-    color: '#fff',
-    border: 'none',
-    borderRadius: '5px',
-    cursor: 'pointer',
-    margin: '5px 0',
-    width: '100%',
+  const exportHistoryCsv = () => {
+    const columns = ['timestamp', 'node', 'name', 'description', 'value'];
+    downloadFile(`alerts-${fileTimestamp()}.csv`, toCsv(columns, history), 'text/csv');
   };
 
+  const styles = useStyles('900px');
+  const { containerStyle, sectionStyle } = styles;
+  const inputStyle = { ...styles.inputStyle, width: 'auto' };
+  const cellStyle = { ...styles.cellStyle, padding: '4px 8px', textAlign: 'left' };
+
+  const signalUnit = draft.condition === 'offline' ? 's' : ALERT_SIGNALS[draft.signal].unit;
+
   return (
     <div style={containerStyle}>
-      <h1>Basic Calibration</h1>
-      
-      <div style={sectionStyle}>
-        <h2>Current Calibration Values</h2>
-        <p><strong>Raw Value:</strong> {calData.raw_value !== null ? calData.raw_value : 'Loading...'}</p>
-        <p><strong>Scale:</strong> {calData.current_scale}</p>
-        <p><strong>Offset:</strong> {calData.current_offset}</p>
-        <button style={dangerButtonStyle} onClick={fetchCalibration}>Refresh Calibration Data</button>
-      </div>
+      <h1>Alerts</h1>
 
       <div style={sectionStyle}>
-        <h2>Edit Calibration</h2>
-        <label>Scale:</label>
-        <input
-          style={inputStyle}
-          type="number"
-          value={newScale}
-          onChange={(e) => setNewScale(e.target.value)}
-        />
-        <label>Offset:</label>
-        <input
-          style={inputStyle}
-          type="number"
-          value={newOffset}
-          onChange={(e) => setNewOffset(e.target.value)}
-        />
-        <button style={dangerButtonStyle} onClick={handleSetCalibration}>Set Calibration</button>
-        <button style={dangerButtonStyle} onClick={handleTare}>Tare Scale</button>
-        {/* Warning only shown near save */}
-        <p style={{ color: 'red', fontSize: '12px' }}>
-          Warning: Saving will overwrite calibration data stored in the ESP's EEPROM.
+        <h2>New Rule</h2>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center' }}>
+          <input style={inputStyle} placeholder="Name (optional)" value={draft.name} onChange={(e) => updateDraft('name', e.target.value)} />
+          {draft.condition !== 'offline' && (
+            <select style={inputStyle} value={draft.signal} onChange={(e) => updateDraft('signal', e.target.value)}>
+              {Object.keys(ALERT_SIGNALS).map((key) => <option key={key} value={key}>{ALERT_SIGNALS[key].label}</option>)}
+            </select>
+          )}
+          <select style={inputStyle} value={draft.condition} onChange={(e) => updateDraft('condition', e.target.value)}>
+            <option value="above">is above</option>
+            <option value="below">is below</option>
+            <option value="dropBy">drops by</option>
+            <option value="riseBy">rises by</option>
+            <option value="offline">Device offline for</option>
+          </select>
+          <label>
+            <input style={{ ...inputStyle, width: '90px' }} type="number" value={draft.threshold} onChange={(e) => updateDraft('threshold', e.target.value)} />
+            {' '}{signalUnit}
+          </label>
+          {(draft.condition === 'dropBy' || draft.condition === 'riseBy') && (
+            <label>
+              within <input style={{ ...inputStyle, width: '70px' }} type="number" value={draft.duration} onChange={(e) => updateDraft('duration', e.target.value)} /> s
+            </label>
+          )}
+          <label><input type="checkbox" checked={draft.notify} onChange={(e) => updateDraft('notify', e.target.checked)} /> Browser notification</label>
+          <label><input type="checkbox" checked={draft.sound} onChange={(e) => updateDraft('sound', e.target.checked)} /> Sound</label>
+        </div>
+        <Button onClick={addRule}>Add Rule</Button>
+        <p style={{ fontSize: '12px' }}>
+          Rules are checked against the selected scale while this page is open in a browser tab.
+          {' '}Browser notifications: {permission === 'unsupported' ? 'not supported by this browser' : permission}
+          {permission === 'default' && <Button style={{ marginLeft: '10px' }} onClick={requestPermission}>Allow Notifications</Button>}
         </p>
-        <button style={dangerButtonStyle} onClick={handleSaveCalibration}>Save Calibration</button>
       </div>
 
       <div style={sectionStyle}>
-        <h2>Calibration Simulator</h2>
-        <p>Simulated Weight (g) = (Raw Input - Offset) / Scale</p>
-        <label>Raw Input Value:</label>
-        <input
-          style={inputStyle}
-          type="number"
-          value={rawSim}
-          onChange={(e) => setRawSim(e.target.value)}
-        />
-        <p>
-          Simulated Weight: {simulatedWeight !== null ? simulatedWeight + ' g' : 'Enter raw value'}
-        </p>
+        <h2>Rules</h2>
+        {rules.length === 0 ? (
+          <p>No alert rules defined.</p>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <tbody>
+              {rules.map((rule) => (
+                <tr key={rule.id}>
+                  <td style={cellStyle}>
+                    <input type="checkbox" checked={rule.enabled} onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })} title="Enabled" />
+                  </td>
+                  <td style={cellStyle}>{rule.name && <strong>{rule.name}: </strong>}{describeAlertRule(rule)}</td>
+                  <td style={cellStyle}>{[rule.notify && 'notification', rule.sound && 'sound'].filter(Boolean).join(', ')}</td>
+                  <td style={cellStyle}>
+                    <Button size="small" variant="danger" onClick={() => removeRule(rule.id)}>Delete</Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
       </div>
 
       <div style={sectionStyle}>
-        <h2>Live Raw Value Plot</h2>
-        <div style={{ width: '100%', marginTop: '10px' }}>
-          <canvas ref={chartRef} style={{ width: '100%', height: '300px' }} />
-        </div>
+        <h2>Alert History</h2>
+        {history.length === 0 ? (
+          <p>No alerts have been raised.</p>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+            <thead>
+              <tr>
+                <th style={cellStyle}>Time</th>
+                <th style={cellStyle}>Scale</th>
+                <th style={cellStyle}>Alert</th>
+                <th style={cellStyle}>Measured</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map((entry, idx) => (
+                <tr key={idx}>
+                  <td style={cellStyle}>{new Date(entry.timestamp).toLocaleString()}</td>
+                  <td style={cellStyle}>{entry.node || 'default'}</td>
+                  <td style={cellStyle}>{entry.name !== entry.description ? `${entry.name}: ` : ''}{entry.description}</td>
+                  <td style={cellStyle}>{entry.value !== null ? entry.value.toFixed(3) : ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <Button variant="secondary" onClick={exportHistoryCsv} disabled={history.length === 0}>Export CSV</Button>
+        <Button variant="danger" onClick={() => window.confirm('Clear the alert history?') && clearHistory()} disabled={history.length === 0}>
+          Clear History
+        </Button>
       </div>
 
       {message && (
-        <div style={{ backgroundColor: '#e0e0e0', padding: '10px', borderRadius: '5px', width: '100%' }}>
-          {message}
-        </div>
+        <StatusMessage>{message}</StatusMessage>
       )}
     </div>
   );
 };
 
 // ---------------------
-// Advanced Calibration Page
+// Settings Page
 // ---------------------
-const AdvancedCalibrationPage = () => {
-  const [rawData, setRawData] = useState(null);        // Latest raw value from API
-  const [rawBuffer, setRawBuffer] = useState([]);        // Buffer for last 10s readings
-  const [meanRaw, setMeanRaw] = useState(null);          // Mean of rawBuffer
-  const [zeroWeight, setZeroWeight] = useState('');      // User-provided zero weight value
-  const [calPoints, setCalPoints] = useState([]);        // Array of { raw, actual }
-  const [pointRaw, setPointRaw] = useState('');
-  const [pointActual, setPointActual] = useState('');
-  const [fitResults, setFitResults] = useState(null);    // Proposed calibration (scale, offset)
-  const [logPlotData, setLogPlotData] = useState([]);      // Data for log plot (calibration points)
-  const chartRef = useRef(null);
-  const chartInstance = useRef(null);
-
-  // Poll raw calibration data from /api/scale/raw using our hook
-  const { data } = usePolling(() => fetch('/api/scale/raw').then(res => res.json()), DEFAULT_DELTA_T);
-
-  // Update rawData and rawBuffer
-  useEffect(() => {
-    if (data && typeof data.raw_value !== "undefined") {
-      const now = Date.now();
-      setRawData(data.raw_value);
-      setRawBuffer((prev) => {
-        const newBuffer = [...prev, { time: now, value: data.raw_value }];
-        // Keep only points from the last 10 seconds
-        return newBuffer.filter(pt => now - pt.time <= MEAN_WINDOW);
-      });
-    }
-  }, [data]);
-
-  // Compute mean raw value from buffer
-  useEffect(() => {
-    if (rawBuffer.length > 0) {
-      const sum = rawBuffer.reduce((acc, pt) => acc + pt.value, 0);
-      setMeanRaw((sum / rawBuffer.length).toFixed(3));
-    }
-  }, [rawBuffer]);
+// Polling, chart and display preferences, battery thresholds and the device
+// connection. Everything is stored locally and applies live.
+const SettingsPage = () => {
+  const [settings, setSettings] = useSettings();
+  const [batterySettings, setBatterySettings] = useStoredState('batterySettings', DEFAULT_BATTERY_SETTINGS);
+  const [apiSettings, setApiSettings] = useStoredState('apiSettings', { baseUrl: '', simulator: false });
+  const [baseUrl, setBaseUrl] = useState(apiSettings.baseUrl);
+  const [formKey, setFormKey] = useState(0);
 
-  // Handle adding a new calibration point
-  const addCalPoint = () => {
-    if (pointRaw === '' || pointActual === '') return;
-    const newPoint = { raw: parseFloat(pointRaw), actual: parseFloat(pointActual) };
-    setCalPoints((prev) => [...prev, newPoint]);
-    // Also update log plot data (exclude point if its actual equals zeroWeight)
-    if (parseFloat(pointActual) !== parseFloat(zeroWeight)) {
-      setLogPlotData((prev) => [...prev, newPoint]);
-    }
-    setPointRaw('');
-    setPointActual('');
-  };
+  const updateSetting = (key, value) => setSettings({ ...settings, [key]: value });
+  const updateInterval = (tab, value) => setSettings({ ...settings, pollIntervals: { ...settings.pollIntervals, [tab]: value } });
 
-  // Remove a calibration point by index
-  const removeCalPoint = (index) => {
-    setCalPoints((prev) => prev.filter((_, i) => i !== index));
-    setLogPlotData((prev) => prev.filter((_, i) => i !== index));
+  const resetDefaults = () => {
+    if (!window.confirm('Reset polling, chart and display settings to their defaults?')) return;
+    setSettings(DEFAULT_SETTINGS);
+    setFormKey(formKey + 1);
   };
 
-  // Compute best fitting linear regression from calPoints (if at least 2 points)
-  useEffect(() => {
-    if (calPoints.length >= 2) {
-      let n = calPoints.length;
-      let sumX = calPoints.reduce((sum, p) => sum + p.raw, 0);
-      let sumY = calPoints.reduce((sum, p) => sum + p.actual, 0);
-      let sumXY = calPoints.reduce((sum, p) => sum + p.raw * p.actual, 0);
-      let sumX2 = calPoints.reduce((sum, p) => sum + p.raw * p.raw, 0);
-      const denominator = n * sumX2 - sumX * sumX;
-      if (denominator !== 0) {
-        let slope = (n * sumXY - sumX * sumY) / denominator;
-        let intercept = (sumY - slope * sumX) / n;
-        // Given the model actual = (raw - offset)/scale,
-        // we compare with actual = a * raw + b, so proposed:
-        let proposedScale = (slope !== 0) ? (1 / slope).toFixed(3) : 'N/A';
-        let proposedOffset = (slope !== 0) ? (-intercept / slope).toFixed(3) : 'N/A';
-        setFitResults({ scale: proposedScale, offset: proposedOffset });
-      }
-    } else {
-      setFitResults(null);
-    }
-  }, [calPoints]);
-
-  // Set up Chart.js for calibration log plot (scatter plot)
-  useEffect(() => {
-    const ctx = chartRef.current.getContext('2d');
-    chartInstance.current = new Chart(ctx, {
-      type: 'scatter',
-      data: {
-        datasets: [{
-          label: 'Calibration Points',
-          data: logPlotData.map(pt => ({ x: pt.raw, y: pt.actual })),
-          backgroundColor: 'purple'
-        }]
-      },
-      options: {
-        animation: false,
-        responsive: true,
-        maintainAspectRatio: false,
-        scales: {
-          x: { title: { display: true, text: 'Raw Value' } },
-          y: { title: { display: true, text: 'Actual Weight' } }
-        }
-      }
-    });
-    return () => {
-      if (chartInstance.current) chartInstance.current.destroy();
-    };
-  }, []); // once
+  const { containerStyle, sectionStyle, inputStyle, errorStyle } = useStyles('800px');
 
-  useEffect(() => {
-    if (chartInstance.current) {
-      chartInstance.current.data.datasets[0].data = logPlotData.map(pt => ({ x: pt.raw, y: pt.actual }));
-      chartInstance.current.update();
-    }
-  }, [logPlotData]);
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px', margin: '5px 0' };
+  const smallInputStyle = { ...inputStyle, width: '100px' };
 
-  const containerStyle = {
-    display: 'flex',
-    flexDirection: 'column',
-    alignItems: 'center',
-    padding: '20px',
-    backgroundColor: '#fff',
-    borderRadius: '10px',
-    boxShadow: '0 0 10px rgba(0,0,0,0.2)',
-    maxWidth: '900px',
-    margin: 'auto',
+  // Battery thresholds in volts; input that is not a positive number is ignored
+  const updateThreshold = (key, value) => {
+    const volts = parseFloat(value);
+    if (Number.isFinite(volts) && volts > 0) setBatterySettings({ ...batterySettings, [key]: volts });
   };
 
-  const sectionStyle = {
-    width: '100%',
-    marginBottom: '20px',
-    padding: '10px',
-    border: '1px solid #ddd',
-    borderRadius: '5px',
-  };
+  // Seconds in the form, ms in the settings; invalid input is ignored. The
+  // inputs are uncontrolled so partial input like "0." can be typed, and
+  // remounted through 'formKey' when the settings are reset.
+  const secondsInput = (value, onChange, min) => (
+    <input
+      style={smallInputStyle}
+      type="number"
+      min={min}
+      step="0.1"
+      defaultValue={value / 1000}
+      onChange={(e) => {
+        const seconds = parseFloat(e.target.value);
+        if (Number.isFinite(seconds) && seconds >= min) onChange(Math.round(seconds * 1000));
+      }}
+    />
+  );
 
-  const inputStyle = {
-    padding: '5px',
-    fontSize: '14px',
-    borderRadius: '5px',
-    border: '1px solid #ccc',
-    marginBottom: '5px',
-    width: '100%',
-  };
+  return (
+    <div style={containerStyle}>
+      <h1>Settings</h1>
 
-  const dangerButtonStyle = {
-    padding: '8px 15px',
-    fontSize: '14px',
-    backgroundColor: 'red',
-    color: '#fff',
-    border: 'none',
-    borderRadius: '5px',
-    cursor: 'pointer',
-    margin: '5px 0',
-    width: '100%',
-  };
+      <div style={sectionStyle} key={`polling-${formKey}`}>
+        <h2>Polling Intervals</h2>
+        <p style={{ fontSize: '12px' }}>
+          Seconds between device requests while a tab is shown. Only used for HTTP polling; push transports deliver data as it arrives.
+        </p>
+        {SETTINGS_TABS.map(({ key, label }) => (
+          <div key={key} style={rowStyle}>
+            <label>{label}</label>
+            {secondsInput(settings.pollIntervals[key], (ms) => updateInterval(key, ms), 0.1)}
+          </div>
+        ))}
+      </div>
 
-  const canvasStyle = { width: '100%', height: '300px' };
+      <div style={sectionStyle} key={`charts-${formKey}`}>
+        <h2>Charts & Averaging</h2>
+        <div style={rowStyle}>
+          <label>Chart history (s)</label>
+          {secondsInput(settings.plotDuration, (ms) => updateSetting('plotDuration', ms), 10)}
+        </div>
+        <div style={rowStyle}>
+          <label>Averaging window of the calibration pages (s)</label>
+          {secondsInput(settings.meanWindow, (ms) => updateSetting('meanWindow', ms), 1)}
+        </div>
+        <p style={{ fontSize: '12px' }}>
+          The browser keeps the last {TELEMETRY_BUFFER_SIZE} samples per signal; longer chart histories need slower polling.
+        </p>
+      </div>
 
-  return (
-    <div style={containerStyle}>
-      <h1>Advanced Calibration</h1>
-      
       <div style={sectionStyle}>
-        <h2>Real-Time Raw Value</h2>
-        <p>Current Raw Value: {rawData !== null ? rawData : 'Loading...'}</p>
-        <p>Mean Raw Value (last 10s): {meanRaw !== null ? meanRaw : 'Calculating...'}</p>
+        <h2>Display</h2>
+        <div style={rowStyle}>
+          <label>Weight unit</label>
+          <select
+            style={smallInputStyle}
+            value={settings.unit}
+            onChange={(e) => setSettings({ ...settings, unit: e.target.value, resolution: WEIGHT_UNITS[e.target.value].resolutions[0] })}
+          >
+            {Object.keys(WEIGHT_UNITS).map((u) => <option key={u} value={u}>{u}</option>)}
+          </select>
+        </div>
+        <div style={rowStyle}>
+          <label>Weight resolution</label>
+          <select style={smallInputStyle} value={settings.resolution} onChange={(e) => updateSetting('resolution', parseFloat(e.target.value))}>
+            {WEIGHT_UNITS[settings.unit].resolutions.map((r) => <option key={r} value={r}>{r} {settings.unit}</option>)}
+          </select>
+        </div>
+        <div style={rowStyle}>
+          <label>Decimal places of measured values</label>
+          <input
+            style={smallInputStyle}
+            type="number"
+            min="0"
+            max="6"
+            value={settings.decimals}
+            onChange={(e) => updateSetting('decimals', Math.min(6, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+          />
+        </div>
+        <div style={rowStyle}>
+          <label>Theme</label>
+          <select style={smallInputStyle} value={settings.theme} onChange={(e) => updateSetting('theme', e.target.value)}>
+            <option value="system">System</option>
+            <option value="light">Light</option>
+            <option value="dark">Dark</option>
+            <option value="contrast">High contrast</option>
+          </select>
+        </div>
       </div>
 
       <div style={sectionStyle}>
-        <h2>Calibration Points</h2>
-        <label>Zero Weight (to be excluded in log plot):</label>
-        <input
-          style={inputStyle}
-          type="number"
-          value={zeroWeight}
-          onChange={(e) => setZeroWeight(e.target.value)}
-        />
-        <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
-          <div style={{ flex: 1 }}>
-            <label>Raw Value:</label>
-            <input
-              style={inputStyle}
-              type="number"
-              value={pointRaw}
-              onChange={(e) => setPointRaw(e.target.value)}
-            />
-          </div>
-          <div style={{ flex: 1 }}>
-            <label>Actual Weight:</label>
-            <input
-              style={inputStyle}
-              type="number"
-              value={pointActual}
-              onChange={(e) => setPointActual(e.target.value)}
-            />
-          </div>
+        <h2>Battery Thresholds</h2>
+        <div style={rowStyle}>
+          <label>Warning below (V)</label>
+          <input
+            style={smallInputStyle}
+            type="number"
+            step="0.01"
+            defaultValue={batterySettings.warningVoltage}
+            onChange={(e) => updateThreshold('warningVoltage', e.target.value)}
+          />
         </div>
-        <button style={dangerButtonStyle} onClick={addCalPoint}>Add Calibration Point</button>
-        {calPoints.length > 0 && (
-          <div style={{ marginTop: '10px' }}>
-            <h3>Calibration Points List</h3>
-            <ul style={{ listStyle: 'none', padding: 0 }}>
-              {calPoints.map((pt, idx) => (
-                <li key={idx} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
-                  <span>Raw: {pt.raw} | Actual: {pt.actual}</span>
-                  <button style={{ ...dangerButtonStyle, padding: '3px 8px', fontSize: '12px', width: 'auto' }} onClick={() => removeCalPoint(idx)}>Remove</button>
-                </li>
-              ))}
-            </ul>
-          </div>
+        <div style={rowStyle}>
+          <label>Critical below (V)</label>
+          <input
+            style={smallInputStyle}
+            type="number"
+            step="0.01"
+            defaultValue={batterySettings.criticalVoltage}
+            onChange={(e) => updateThreshold('criticalVoltage', e.target.value)}
+          />
+        </div>
+        {batterySettings.criticalVoltage >= batterySettings.warningVoltage && (
+          <p style={errorStyle}>The critical threshold should be below the warning threshold.</p>
         )}
       </div>
 
       <div style={sectionStyle}>
-        <h2>Calibration Log Plot & Best Fit</h2>
-        <div style={{ width: '100%', marginBottom: '10px' }}>
-          <canvas ref={chartRef} style={canvasStyle} />
+        <h2>Device Connection</h2>
+        <label>Device Base URL (leave empty when the UI is served by the device):</label>
+        <div style={{ display: 'flex', gap: '10px', marginTop: '5px', alignItems: 'center' }}>
+          <input style={inputStyle} type="text" placeholder="http://192.168.4.1" value={baseUrl} onChange={(e) => setBaseUrl(e.target.value)} />
+          <Button style={{ margin: 0 }} onClick={() => setApiSettings({ ...apiSettings, baseUrl: baseUrl.trim() })}>
+            Apply
+          </Button>
         </div>
-        {fitResults ? (
-          <p>Proposed Calibration: Scale = {fitResults.scale}, Offset = {fitResults.offset}</p>
-        ) : (
-          <p>Need at least 2 calibration points (excluding zero weight) to compute best fit.</p>
-        )}
+        <p style={{ fontSize: '12px' }}>
+          Currently using {apiSettings.simulator ? 'the built-in simulator' : apiSettings.baseUrl || 'the host serving this page'}.
+          {' '}A different host must allow cross-origin requests.
+        </p>
+        <label>
+          <input
+            type="checkbox"
+            checked={Boolean(apiSettings.simulator)}
+            onChange={(e) => setApiSettings({ ...apiSettings, simulator: e.target.checked })}
+          />
+          {' '}Use the built-in device simulator instead of a real scale
+        </label>
       </div>
+
+      <Button variant="secondary" onClick={resetDefaults}>Reset to Defaults</Button>
+    </div>
+  );
+};
+
+// ---------------------
+// Offline Support Notice
+// ---------------------
+// Browsers only run service workers on HTTPS or localhost. Served over plain
+// HTTP, as by the device on a local network, the UI can neither be installed
+// nor open without the device; this notice says so until it is dismissed.
+function offlineShellSupported() {
+  return 'serviceWorker' in navigator && window.isSecureContext;
+}
+
+const OfflineSupportNotice = () => {
+  const [notice, setNotice] = useStoredState('offlineNotice', { dismissed: false });
+  const { theme } = useTheme();
+  if (offlineShellSupported() || notice.dismissed) return null;
+
+  const style = {
+    maxWidth: '900px',
+    margin: '0 auto 20px',
+    padding: '10px',
+    borderRadius: '5px',
+    backgroundColor: theme.cautionSoft,
+    color: theme.onCautionSoft,
+    border: `1px solid ${theme.caution}`,
+    fontSize: '14px',
+    boxSizing: 'border-box',
+  };
+  return (
+    <div style={style} role="note">
+      <strong>Offline mode unavailable.</strong> Installing the app and opening it without a connection to the
+      scale need HTTPS (or localhost), and this page is served over plain HTTP. Last known readings and queued
+      tare/calibration commands are still kept while the page stays open.{' '}
+      <Button size="small" variant="secondary" onClick={() => setNotice({ dismissed: true })}>Dismiss</Button>
     </div>
   );
 };
@@ -696,24 +6235,92 @@ const AdvancedCalibrationPage = () => {
 // ---------------------
 // Main App with Tab-based Navigation
 // ---------------------
-const App = () => {
-  const [activeTab, setActiveTab] = useState("home");
-  const appContainer = {
+const AppContainer = ({ children }) => {
+  const { theme, compact } = useTheme();
+  const style = {
     fontFamily: 'Arial, sans-serif',
-    padding: '20px',
-    backgroundColor: '#fff',
+    padding: compact ? '10px' : '20px',
+    backgroundColor: theme.background,
+    color: theme.text,
     minHeight: '100vh',
+    boxSizing: 'border-box',
+  };
+  return <div style={style}>{children}</div>;
+};
+
+const App = () => {
+  // Read the route first: its link parameters may change the stored state below
+  const [route, setActiveTab] = useHashRoute();
+  const activeTab = route.tab;
+  const [nodeConfig, setNodeConfig] = useStoredState('nodes', { nodes: [], selectedNode: null });
+  const [apiSettings] = useStoredState('apiSettings', { baseUrl: '', simulator: false });
+  const nodeContext = {
+    nodes: nodeConfig.nodes,
+    selectedNode: nodeConfig.selectedNode,
+    selectNode: (id) => setNodeConfig({ ...nodeConfig, selectedNode: id }),
+    setNodes: (nodes) => setNodeConfig({ ...nodeConfig, nodes }),
   };
+  // Remounting the providers on node or device URL change restarts telemetry
   return (
-    <div style={appContainer}>
-      <Navigation activeTab={activeTab} setActiveTab={setActiveTab} />
-      {activeTab === "home" && <HomePage />}
-      {activeTab === "battery" && <BatteryPage />}
-      {activeTab === "basicCalib" && <BasicCalibrationPage />}
-      {activeTab === "advCalib" && <AdvancedCalibrationPage />}
-    </div>
+    <ThemeProvider>
+      <NodeContext.Provider value={nodeContext}>
+        <TelemetryProvider
+          key={`${apiSettings.simulator ? 'simulator' : apiSettings.baseUrl}|${nodeConfig.selectedNode || 'default'}`}
+          node={nodeConfig.selectedNode}
+        >
+          <RecordingProvider>
+            <AppContainer>
+              <BatteryLogger />
+              <AlertMonitor />
+              <PollingController activeTab={activeTab} />
+              <Navigation activeTab={activeTab} setActiveTab={setActiveTab} />
+              {apiSettings.simulator && <SimulatorPanel />}
+              <CommandQueuePanel />
+              <OfflineSupportNotice />
+              <main key={route.seed} role="tabpanel" id={`panel-${activeTab}`} aria-labelledby={`tab-${activeTab}`}>
+                {activeTab === "home" && <HomePage />}
+                {activeTab === "counting" && <CountingPage />}
+                {activeTab === "checkweigher" && <CheckweigherPage />}
+                {activeTab === "recipes" && <RecipePage />}
+                {activeTab === "battery" && <BatteryPage />}
+                {activeTab === "basicCalib" && <BasicCalibrationPage />}
+                {activeTab === "advCalib" && <AdvancedCalibrationPage />}
+                {activeTab === "recording" && <RecordingPage />}
+                {activeTab === "diagnostics" && <DiagnosticsPage />}
+                {activeTab === "compensation" && <CompensationPage />}
+                {activeTab === "alerts" && <AlertsPage />}
+                {activeTab === "scales" && <ScalesDashboardPage />}
+                {activeTab === "settings" && <SettingsPage />}
+              </main>
+            </AppContainer>
+          </RecordingProvider>
+        </TelemetryProvider>
+      </NodeContext.Provider>
+    </ThemeProvider>
   );
 };
 
+// ---------------------
+// Progressive Web App
+// ---------------------
+// Links the web app manifest and registers the service worker caching the UI
+// shell (sw.js) where the browser allows it (see OfflineSupportNotice). The
+// last known readings and the command queue are kept in localStorage either
+// way.
+function registerProgressiveWebApp() {
+  if (!document.querySelector('link[rel="manifest"]')) {
+    const link = document.createElement('link');
+    link.rel = 'manifest';
+    link.href = MANIFEST_PATH;
+    document.head.appendChild(link);
+  }
+  if (offlineShellSupported()) {
+    navigator.serviceWorker.register(SERVICE_WORKER_PATH)
+      .catch((err) => console.error('Error registering the service worker:', err));
+  }
+}
+
+registerProgressiveWebApp();
+
 const root = createRoot(document.getElementById('root'));
 root.render(<App />);
@@ -0,0 +1,58 @@
+// ---------------------
+// Service Worker
+// ---------------------
+// Caches the UI shell so the app still opens while the phone is off the
+// scale's Wi-Fi. Pages and scripts are fetched from the network first and
+// served from the cache when that fails. Device endpoints are never cached;
+// the app keeps the last known readings itself.
+const CACHE_NAME = 'scale-ui-v1';
+const SHELL_FILES = ['./', './main.jsx', './manifest.json', './icon.svg'];
+const DEVICE_PATHS = ['/api/', '/save', '/espnow_weight_real', '/ws'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Removes the caches of previous versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Same-origin files and cross-origin libraries (React, Chart.js) are cached;
+// device requests, also to a device on another host, go straight to the network.
+function isCacheable(request) {
+  if (request.method !== 'GET') return false;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) return !DEVICE_PATHS.some((path) => url.pathname.startsWith(path));
+  return ['script', 'style', 'font'].includes(request.destination);
+}
+
+self.addEventListener('fetch', (event) => {
+  if (!isCacheable(event.request)) return;
+  event.respondWith(
+    fetch(event.request)
+      .then((response) => {
+        if (response.ok || response.type === 'opaque') {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put(event.request, copy));
+        }
+        return response;
+      })
+      .catch(() =>
+        caches.match(event.request, { ignoreSearch: true }).then((cached) => {
+          if (cached) return cached;
+          // Navigations to any path fall back to the cached shell
+          if (event.request.mode === 'navigate') return caches.match('./');
+          throw new Error(`Offline and not cached: ${event.request.url}`);
+        })
+      )
+  );
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/loadApp');
+
+// Points of a load cell with scale 420.5 counts/g and offset 8000
+const POINTS = [
+  { raw: 8000, actual: 0 },
+  { raw: 8000 + 420.5 * 100, actual: 100 },
+  { raw: 8000 + 420.5 * 500, actual: 500 },
+  { raw: 8000 + 420.5 * 1000, actual: 1000 },
+];
+
+describe('calibration math', () => {
+  let harness;
+  let app;
+
+  before(() => {
+    harness = loadApp({
+      names: ['computeLinearFit', 'simulateWeight', 'logPlotPoints', 'fitCalibrationModel', 'computeFitDiagnostics', 'validateCalibration'],
+    });
+    app = harness.app;
+  });
+
+  after(() => harness.close());
+
+  describe('computeLinearFit', () => {
+    it('recovers scale and offset from exact points', () => {
+      const fit = app.computeLinearFit(POINTS);
+      assert.equal(fit.scale, '420.500');
+      assert.equal(fit.offset, '8000.000');
+      assert.ok(Math.abs(fit.slope - 1 / 420.5) < 1e-12);
+    });
+
+    it('fits noisy points by least squares', () => {
+      const noisy = POINTS.map((pt, i) => ({ ...pt, raw: pt.raw + (i % 2 === 0 ? 20 : -20) }));
+      const fit = app.computeLinearFit(noisy);
+      assert.ok(Math.abs(parseFloat(fit.scale) - 420.5) < 1);
+      assert.ok(Math.abs(parseFloat(fit.offset) - 8000) < 50);
+    });
+
+    it('returns null for fewer than two points or identical raw values', () => {
+      assert.equal(app.computeLinearFit([]), null);
+      assert.equal(app.computeLinearFit([POINTS[1]]), null);
+      assert.equal(app.computeLinearFit([{ raw: 5, actual: 0 }, { raw: 5, actual: 100 }]), null);
+    });
+
+    it('reports N/A when the weights do not change with the raw value', () => {
+      const fit = app.computeLinearFit([{ raw: 1, actual: 10 }, { raw: 2, actual: 10 }]);
+      assert.equal(fit.scale, 'N/A');
+      assert.equal(fit.offset, 'N/A');
+    });
+  });
+
+  describe('simulateWeight', () => {
+    it('applies (raw - offset) / scale with three decimals', () => {
+      assert.equal(app.simulateWeight(8000 + 420.5 * 250, 420.5, 8000), '250.000');
+      assert.equal(app.simulateWeight('50050', '420.5', '8000'), '100.000');
+    });
+
+    it('accepts a raw value or offset of 0', () => {
+      assert.equal(app.simulateWeight(0, 2, 0), '0.000');
+      assert.equal(app.simulateWeight(0, 2, 10), '-5.000');
+    });
+
+    it('returns null for missing values or a zero scale', () => {
+      assert.equal(app.simulateWeight('', 420.5, 8000), null);
+      assert.equal(app.simulateWeight(100, 'abc', 8000), null);
+      assert.equal(app.simulateWeight(100, 420.5, null), null);
+      assert.equal(app.simulateWeight(100, 0, 8000), null);
+    });
+  });
+
+  describe('logPlotPoints', () => {
+    it('leaves out the points taken at the zero weight', () => {
+      assert.deepEqual(app.logPlotPoints(POINTS, '0'), POINTS.slice(1));
+      assert.deepEqual(app.logPlotPoints(POINTS, ''), POINTS);
+    });
+
+    it('follows the point list when a point is removed after zero points were excluded', () => {
+      const points = [POINTS[0], POINTS[1], { raw: 8100, actual: 0 }, POINTS[2], POINTS[3]];
+      // Index 3 of the point list is the 500 g point; in the old separate log
+      // plot list that index was the 1000 g point
+      const remaining = points.filter((_, i) => i !== 3);
+      assert.deepEqual(app.logPlotPoints(remaining, 0).map((pt) => pt.actual), [100, 1000]);
+    });
+  });
+
+  describe('fitCalibrationModel', () => {
+    it('fits a quadratic model through curved points', () => {
+      // Weights bend away from the linear model by up to 35 g at 1000 g
+      const curved = [0, 250, 500, 750, 1000].map((g) => {
+        const raw = 8000 + 420.5 * g;
+        return { raw, actual: g + 2e-10 * (raw - 8000) ** 2 };
+      });
+      const linear = app.fitCalibrationModel(curved, 'linear');
+      const quadratic = app.fitCalibrationModel(curved, 'quadratic');
+      const linearError = app.computeFitDiagnostics(curved, linear.predict).maxError;
+      const quadraticError = app.computeFitDiagnostics(curved, quadratic.predict).maxError;
+      assert.ok(quadraticError < 0.01, `quadratic max error ${quadraticError}`);
+      assert.ok(linearError > quadraticError);
+    });
+
+    it('interpolates piecewise between the points', () => {
+      const fit = app.fitCalibrationModel(POINTS, 'piecewise');
+      assert.ok(Math.abs(fit.predict(8000 + 420.5 * 300) - 300) < 1e-9);
+    });
+
+    it('reports R² of 1 for an exact linear fit', () => {
+      const fit = app.fitCalibrationModel(POINTS, 'linear');
+      const diagnostics = app.computeFitDiagnostics(POINTS, fit.predict);
+      assert.ok(Math.abs(diagnostics.rSquared - 1) < 1e-9);
+    });
+  });
+
+  describe('validateCalibration', () => {
+    it('accepts plausible values and rejects a zero or implausible scale', () => {
+      assert.equal(app.validateCalibration('420.5', '8000').length, 0);
+      assert.ok(app.validateCalibration('0', '8000').length > 0);
+      assert.ok(app.validateCalibration('420.5', 'abc').length > 0);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createDevice, waitFor, setValue } = require('./helpers/loadApp');
+
+describe('checkweigher', () => {
+  let harness;
+  let document;
+
+  before(() => {
+    harness = loadApp({
+      url: 'http://scale.local/#/checkweigher',
+      device: createDevice({ weight: 0.502 }),
+      names: ['convertCheckweigherUnit', 'classifyWeight'],
+      storage: { checkweigher: { unit: 'g', target: 500, underTolerance: 5, overTolerance: 10, emptyBelow: 20, autoCapture: false } },
+    });
+    ({ document } = harness);
+  });
+
+  after(() => harness.close());
+
+  const storedConfig = () => JSON.parse(harness.window.localStorage.getItem('scaleui.checkweigher'));
+  const storedItems = () => JSON.parse(harness.window.localStorage.getItem('scaleui.checkweigherBatch')).items;
+
+  it('keeps the target weights when the unit changes', () => {
+    const config = { unit: 'g', target: 500, underTolerance: 5, overTolerance: 10, emptyBelow: 20, autoCapture: true };
+    const kg = harness.app.convertCheckweigherUnit(config, 'kg');
+    assert.deepEqual({ ...kg }, { ...config, unit: 'kg', target: 0.5, underTolerance: 0.005, overTolerance: 0.01, emptyBelow: 0.02 });
+    assert.equal(harness.app.classifyWeight(0.502, kg), 'ok');
+    // Six significant digits are kept
+    const back = harness.app.convertCheckweigherUnit(harness.app.convertCheckweigherUnit(config, 'lb'), 'g');
+    assert.ok(Math.abs(back.target - 500) < 0.001);
+  });
+
+  it('converts the settings when another unit is selected', async () => {
+    // A reading has arrived once the page judges the settling, so its effects have run
+    await waitFor(() => document.body.textContent.includes('Settl'));
+    setValue(harness.window, document.querySelector('#checkweigher-unit'), 'kg');
+    await waitFor(() => storedConfig().unit === 'kg');
+    assert.equal(storedConfig().target, 0.5);
+    assert.equal(storedConfig().emptyBelow, 0.02);
+    await waitFor(() => document.querySelector('#checkweigher-target').value === '0.5');
+  });
+
+  it('captures a settled item as soon as auto capture is turned on', async () => {
+    await waitFor(() => document.body.textContent.includes('Settled'), 10000);
+    // No further samples arrive, so only the changed setting can trigger the capture
+    harness.device.state.offline = true;
+    const checkbox = [...document.querySelectorAll('input[type="checkbox"]')].find((el) => el.parentElement.textContent.includes('Capture items automatically'));
+    checkbox.click();
+    const items = await waitFor(() => storedItems().length === 1 && storedItems());
+    assert.equal(items[0].result, 'ok');
+    assert.ok(items[0].id);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/loadApp');
+
+describe('diagnostics statistics', () => {
+  let harness;
+  let app;
+
+  before(() => {
+    harness = loadApp({ names: ['computeNoiseStats', 'computeHistogram', 'slopePerHour'] });
+    app = harness.app;
+  });
+
+  after(() => harness.close());
+
+  // Four hours at 500 ms is 28,800 samples; a day of them still has to work
+  const samples = Array.from({ length: 200000 }, (_, i) => ({ time: i * 500, value: 1000 + (i % 7) - 3 + i / 100000 }));
+
+  it('computes the noise of long recordings', () => {
+    const stats = app.computeNoiseStats(samples);
+    assert.equal(stats.count, samples.length);
+    assert.equal(stats.min, 997);
+    assert.ok(stats.max > 1004.99 && stats.max < 1005);
+    assert.ok(Math.abs(stats.mean - 1001) < 0.01);
+  });
+
+  it('bins long recordings into a histogram', () => {
+    const histogram = app.computeHistogram(samples.map((s) => s.value), 30);
+    assert.equal(histogram.length, 30);
+    assert.equal(histogram.reduce((sum, bin) => sum + bin.count, 0), samples.length);
+  });
+
+  it('measures the drift per hour', () => {
+    // 1 count per 100,000 samples of 500 ms
+    assert.ok(Math.abs(app.slopePerHour(samples) - 7200 / 100000) < 1e-3);
+  });
+});
@@ -0,0 +1,183 @@
+// ---------------------
+// Test Harness
+// ---------------------
+// Loads main.jsx into a jsdom window the way the device page does: React,
+// ReactDOM and Chart.js are globals and the JSX is compiled on the fly. fetch
+// is answered by a mocked device (see createDevice). The top-level
+// declarations listed in 'names' are returned for unit tests.
+const fs = require('fs');
+const path = require('path');
+const esbuild = require('esbuild');
+const { JSDOM } = require('jsdom');
+
+const SOURCE = path.join(__dirname, '..', '..', 'main.jsx');
+
+// Chart.js stand-in recording the charts the pages create
+class FakeChart {
+  constructor(ctx, config) {
+    this.config = config;
+    this.data = config.data;
+    this.options = config.options;
+    FakeChart.instances.push(this);
+  }
+
+  update() {}
+
+  draw() {}
+
+  destroy() {
+    this.destroyed = true;
+  }
+
+  toBase64Image() {
+    return 'data:image/png;base64,';
+  }
+}
+FakeChart.defaults = {};
+FakeChart.instances = [];
+
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => 'application/json' },
+    json: () => Promise.resolve(body),
+    text: () => Promise.resolve(JSON.stringify(body)),
+  };
+}
+
+function textResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => 'text/plain' },
+    json: () => Promise.reject(new SyntaxError('Unexpected token')),
+    text: () => Promise.resolve(body),
+  };
+}
+
+// Mocked device answering every endpoint the app uses. 'state' can be changed
+// by the tests; 'requests' lists the paths (with query) in request order.
+// Setting state.offline makes every request fail like an unreachable host.
+function createDevice(initial = {}) {
+  const state = { weight: 1.234, battery: 3.9, vdd33: 3300, raw: 100000, scale: '420.5', offset: '8000', offline: false, ...initial };
+  const requests = [];
+  const fetch = (url) => {
+    const u = new URL(String(url), 'http://scale.local/');
+    requests.push(u.pathname + u.search);
+    if (state.offline) return Promise.reject(new TypeError('Failed to fetch'));
+    switch (u.pathname) {
+      case '/api/status':
+      case '/espnow_weight_real':
+        return Promise.resolve(jsonResponse({ weight: state.weight, battery: state.battery, rom_phy_get_vdd33: state.vdd33 }));
+      case '/api/scale/raw':
+        return Promise.resolve(jsonResponse({ raw_value: state.raw, current_scale: state.scale, current_offset: state.offset }));
+      case '/api/scale/tare':
+        state.offset = String(state.raw);
+        return Promise.resolve(textResponse('Tare complete'));
+      case '/api/scale/set_calibration':
+        state.scale = u.searchParams.get('scale');
+        state.offset = u.searchParams.get('offset');
+        return Promise.resolve(textResponse('Calibration set'));
+      case '/save':
+        return Promise.resolve(textResponse('Calibration saved'));
+      case '/api/nodes':
+        return Promise.resolve(jsonResponse([]));
+      default:
+        return Promise.resolve(textResponse('Not found', 404));
+    }
+  };
+  return { state, requests, fetch };
+}
+
+// Returns { window, document, app, device, errors, close }. 'app' holds the
+// requested top-level declarations of main.jsx; 'errors' collects the
+// arguments of console.error calls.
+function loadApp({ url = 'http://scale.local/', device = createDevice(), names = [], storage = {} } = {}) {
+  const dom = new JSDOM('<!doctype html><html><head></head><body><div id="root"></div></body></html>', {
+    url,
+    pretendToBeVisual: true,
+    runScripts: 'outside-only',
+  });
+  const { window } = dom;
+
+  // react-dom checks for a DOM when it is first required
+  global.window = window;
+  global.document = window.document;
+  global.navigator = window.navigator;
+  global.IS_REACT_ACT_ENVIRONMENT = false;
+  window.React = require('react');
+  window.ReactDOM = require('react-dom/client');
+
+  window.Chart = FakeChart;
+  window.fetch = device.fetch;
+  window.HTMLCanvasElement.prototype.getContext = () => ({});
+  window.URL.createObjectURL = () => 'blob:test';
+  window.URL.revokeObjectURL = () => {};
+  window.confirm = () => true;
+  window.alert = () => {};
+  window.prompt = () => null;
+  const errors = [];
+  window.console.error = (...args) => errors.push(args);
+  Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(`scaleui.${key}`, JSON.stringify(value)));
+
+  const { code } = esbuild.transformSync(fs.readFileSync(SOURCE, 'utf8'), { loader: 'jsx' });
+  // 'root' is the React root main.jsx renders into, unmounted by close()
+  const { root, ...app } = new window.Function(`${code}\nreturn { ${['root', ...names].join(', ')} };`).call(window);
+
+  return {
+    window,
+    document: window.document,
+    app,
+    device,
+    errors,
+    close: () => {
+      root.unmount();
+      window.close();
+    },
+  };
+}
+
+// Resolves once 'condition()' is truthy, polling every 20 ms
+function waitFor(condition, timeout = 3000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      let value;
+      try {
+        value = condition();
+      } catch (err) {
+        value = null;
+      }
+      if (value) resolve(value);
+      else if (Date.now() - started > timeout) reject(new Error(`Condition not met within ${timeout} ms: ${condition}`));
+      else setTimeout(check, 20);
+    };
+    check();
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Clicks the button whose text is 'label'
+function clickButton(document, label) {
+  const button = [...document.querySelectorAll('button')].find((b) => b.textContent.trim() === label);
+  if (!button) throw new Error(`No button "${label}"`);
+  button.click();
+}
+
+// Opens the tab whose navigation button reads 'label'
+function openTab(document, label) {
+  const button = [...document.querySelectorAll('nav button')].find((b) => b.textContent.trim() === label);
+  if (!button) throw new Error(`No tab "${label}"`);
+  button.click();
+}
+
+// Sets the value of a controlled input or select and fires the React event
+function setValue(window, element, value) {
+  const proto = element.tagName === 'SELECT' ? window.HTMLSelectElement.prototype : window.HTMLInputElement.prototype;
+  Object.getOwnPropertyDescriptor(proto, 'value').set.call(element, value);
+  element.dispatchEvent(new window.Event(element.tagName === 'SELECT' ? 'change' : 'input', { bubbles: true }));
+}
+
+module.exports = { loadApp, createDevice, FakeChart, waitFor, sleep, clickButton, openTab, setValue };
@@ -0,0 +1,190 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, FakeChart, waitFor, clickButton, openTab, setValue } = require('./helpers/loadApp');
+
+// Heading of each page by the label of its tab
+const HEADINGS = {
+  Home: 'ESP NOW Weight Scale',
+  'Battery Monitor': 'Battery Monitor',
+  'Basic Calibration': 'Basic Calibration',
+  'Advanced Calibration': 'Advanced Calibration',
+  Recording: 'Recording',
+  Alerts: 'Alerts',
+  Scales: 'Scales',
+  Compensation: 'Temperature & Creep Compensation',
+  Diagnostics: 'Noise & Drift Diagnostics',
+  Counting: 'Piece Counting',
+  Checkweigher: 'Checkweigher',
+  Recipes: 'Recipes',
+  Settings: 'Settings',
+};
+
+const heading = (document) => {
+  const h1 = document.querySelector('h1');
+  return h1 && h1.textContent;
+};
+
+// Opens a tab and waits for its page
+const showPage = async (document, label) => {
+  await waitFor(() => {
+    openTab(document, label);
+    return true;
+  });
+  await waitFor(() => heading(document) === HEADINGS[label]);
+};
+
+describe('pages', () => {
+  let harness;
+  let window;
+  let document;
+
+  before(() => {
+    harness = loadApp();
+    ({ window, document } = harness);
+  });
+
+  after(() => harness.close());
+
+  it('shows the weight reported by the device on the home page', async () => {
+    await waitFor(() => heading(document) === HEADINGS.Home);
+    await waitFor(() => document.body.textContent.includes('1.234 kg'));
+    assert.ok(harness.device.requests.some((r) => r.startsWith('/api/status')));
+  });
+
+  it('renders every page without errors', async () => {
+    for (const label of Object.keys(HEADINGS)) await showPage(document, label);
+    assert.deepEqual(harness.errors.map((args) => args.join(' ')), []);
+  });
+
+  it('shows the battery thresholds of the settings on the battery page', async () => {
+    await showPage(document, 'Settings');
+    const section = [...document.querySelectorAll('h2')].find((h2) => h2.textContent === 'Battery Thresholds').parentElement;
+    const [warning, critical] = section.querySelectorAll('input');
+    setValue(window, warning, '3.55');
+    setValue(window, critical, '');
+    await waitFor(() => JSON.parse(window.localStorage.getItem('scaleui.batterySettings')).warningVoltage === 3.55);
+    assert.equal(JSON.parse(window.localStorage.getItem('scaleui.batterySettings')).criticalVoltage, 3.1);
+
+    await showPage(document, 'Battery Monitor');
+    assert.ok(document.body.textContent.includes('Warning below 3.55 V, critical below 3.1 V.'));
+    assert.equal([...document.querySelectorAll('label')].filter((l) => l.textContent.includes('below (V)')).length, 0);
+  });
+
+  it('records raw values on the diagnostics page', async () => {
+    await showPage(document, 'Diagnostics');
+    clickButton(document, 'Start Recording');
+    await waitFor(() => /Recording: [1-9]\d* samples/.test(document.body.textContent));
+    clickButton(document, 'Stop');
+    await waitFor(() => /[1-9]\d* samples recorded/.test(document.body.textContent));
+    assert.ok(document.body.textContent.includes('Standard deviation (RMS noise)'));
+  });
+
+  it('simulates the weight of a raw value on the basic calibration page', async () => {
+    await showPage(document, 'Basic Calibration');
+    // The current calibration of the device fills in scale and offset
+    await waitFor(() => [...document.querySelectorAll('input')].some((el) => el.value === '420.5'));
+    const section = [...document.querySelectorAll('h2')].find((h2) => h2.textContent === 'Calibration Simulator').parentElement;
+    setValue(window, section.querySelector('input'), String(8000 + 420.5 * 250));
+    await waitFor(() => section.textContent.includes('Simulated Weight: 250.000 g'));
+  });
+});
+
+describe('advanced calibration points', () => {
+  let harness;
+  let document;
+
+  // 0 g is the zero weight, so both 0 g points stay out of the log plot
+  const POINTS = [[8000, 0], [50050, 100], [8100, 0], [218250, 500], [428500, 1000]].map(([raw, actual]) => ({ raw, actual }));
+
+  before(() => {
+    harness = loadApp({ storage: { calibrationSession: { calPoints: POINTS, zeroWeight: '0' } } });
+    ({ document } = harness);
+  });
+
+  after(() => harness.close());
+
+  const storedSession = () => JSON.parse(harness.window.localStorage.getItem('scaleui.calibrationSession'));
+
+  it('loads the stored points', async () => {
+    await showPage(document, 'Advanced Calibration');
+    await waitFor(() => document.querySelectorAll('li button').length === 5);
+    // The page adds the log plot data when it saves the session
+    const logPlotData = await waitFor(() => storedSession().logPlotData);
+    assert.deepEqual(logPlotData.map((pt) => pt.actual), [100, 500, 1000]);
+  });
+
+  it('removes the clicked point from the list and the log plot', async () => {
+    const removeButtons = [...document.querySelectorAll('li button')].filter((b) => b.textContent === 'Remove');
+    // The 500 g point
+    removeButtons[3].click();
+    await waitFor(() => document.querySelectorAll('li button').length === 4);
+    const session = storedSession();
+    assert.deepEqual(session.calPoints.map((pt) => pt.actual), [0, 100, 0, 1000]);
+    assert.deepEqual(session.logPlotData.map((pt) => pt.actual), [100, 1000]);
+  });
+
+  it('keeps the session when the page is left and opened again', async () => {
+    await showPage(document, 'Home');
+    await showPage(document, 'Advanced Calibration');
+    await waitFor(() => document.querySelectorAll('li button').length === 4);
+  });
+});
+
+describe('home page statistics', () => {
+  let harness;
+  const writes = [];
+
+  before(() => {
+    harness = loadApp({ names: ['updateWeightStats'] });
+    const { Storage } = harness.window;
+    const setItem = Storage.prototype.setItem;
+    Storage.prototype.setItem = function record(key, value) {
+      writes.push(key);
+      return setItem.call(this, key, value);
+    };
+  });
+
+  after(() => harness.close());
+
+  it('keeps the statistics object while a reading changes none of them', () => {
+    const stats = harness.app.updateWeightStats(harness.app.updateWeightStats(null, 1), 3);
+    assert.equal(harness.app.updateWeightStats(stats, 2), stats);
+    assert.equal(harness.app.updateWeightStats(stats, 3.5).max, 3.5);
+    assert.equal(harness.app.updateWeightStats(stats, -4).peak, -4);
+  });
+
+  it('stores the statistics when the page is left instead of on every reading', async () => {
+    const { document, device } = harness;
+    await waitFor(() => heading(document) === HEADINGS.Home);
+    const polls = () => device.requests.filter((r) => r.startsWith('/api/status')).length;
+    const before = polls();
+    for (const weight of [1.5, 2.5, 0.5]) {
+      device.state.weight = weight;
+      const count = polls();
+      await waitFor(() => polls() > count + 1);
+    }
+    assert.ok(polls() - before >= 6);
+    assert.ok(writes.filter((key) => key === 'scaleui.weighing').length <= 1, `${writes.filter((key) => key === 'scaleui.weighing').length} writes`);
+
+    await showPage(document, 'Battery Monitor');
+    const stored = JSON.parse(harness.window.localStorage.getItem('scaleui.weighing'));
+    assert.equal(stored.stats.min, 0.5);
+    assert.equal(stored.stats.max, 2.5);
+  });
+});
+
+describe('themed charts', () => {
+  let harness;
+
+  before(() => {
+    harness = loadApp({ names: ['THEMES'], storage: { settings: { theme: 'dark' } } });
+  });
+
+  after(() => harness.close());
+
+  it('draws the chart series in the colours of the theme', async () => {
+    await showPage(harness.document, 'Basic Calibration');
+    const chart = await waitFor(() => FakeChart.instances.find((c) => c.data.datasets[0].label === 'Raw Value' && !c.destroyed));
+    assert.equal(chart.data.datasets[0].borderColor, harness.app.THEMES.dark.chartRaw);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, sleep, waitFor } = require('./helpers/loadApp');
+
+// Requests for this node are answered by the test's own handler, everything
+// else (the running app) by the default mocked device.
+const PROBE_NODE = 'probe';
+
+// The overlap guard and the backoff of the polling, formerly in the usePolling
+// hook, are part of the telemetry store.
+describe('telemetry polling', () => {
+  let harness;
+  let app;
+  let handler;
+
+  before(() => {
+    harness = loadApp({ names: ['createTelemetryStore', 'computeConnectionState', 'fetchWithTimeout'] });
+    app = harness.app;
+    const deviceFetch = harness.device.fetch;
+    harness.window.fetch = (url, options) => {
+      const u = new URL(String(url), 'http://scale.local/');
+      return u.searchParams.get('node') === PROBE_NODE ? handler(u, options) : deviceFetch(url, options);
+    };
+  });
+
+  after(() => harness.close());
+
+  const okResponse = (u) => ({
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve(u.pathname === '/api/status' ? { weight: 1, battery: 3.9, rom_phy_get_vdd33: 3300 } : { raw_value: 5, current_scale: '1', current_offset: '0' }),
+    text: () => Promise.resolve(''),
+  });
+
+  it('never overlaps requests to the same endpoint', async () => {
+    const inFlight = {};
+    const maxInFlight = {};
+    const calls = {};
+    handler = (u) => {
+      const path = u.pathname;
+      inFlight[path] = (inFlight[path] || 0) + 1;
+      maxInFlight[path] = Math.max(maxInFlight[path] || 0, inFlight[path]);
+      calls[path] = (calls[path] || 0) + 1;
+      // Responses take far longer than the polling interval
+      return sleep(150).then(() => {
+        inFlight[path]--;
+        return okResponse(u);
+      });
+    };
+    const store = app.createTelemetryStore('polling', PROBE_NODE);
+    store.setPollInterval(10);
+    store.start();
+    await sleep(700);
+    store.stop();
+
+    assert.equal(maxInFlight['/api/status'], 1);
+    assert.equal(maxInFlight['/api/scale/raw'], 1);
+    assert.ok(calls['/api/status'] >= 2 && calls['/api/status'] <= 5, `${calls['/api/status']} status requests`);
+    assert.ok(store.getLatest('status').data.weight === 1);
+  });
+
+  it('backs off exponentially while requests fail and recovers afterwards', async () => {
+    let failing = true;
+    const times = [];
+    handler = (u) => {
+      if (u.pathname === '/api/status') times.push(Date.now());
+      return failing ? Promise.reject(new TypeError('Failed to fetch')) : Promise.resolve(okResponse(u));
+    };
+    const store = app.createTelemetryStore('polling', PROBE_NODE);
+    // Both endpoints fail each round, so the delay grows fourfold per status request
+    store.setPollInterval(5);
+    store.start();
+    try {
+      await waitFor(() => times.length >= 4, 5000);
+      const gaps = times.slice(1).map((t, i) => t - times[i]);
+      for (let i = 1; i < gaps.length; i++) {
+        assert.ok(gaps[i] > 2 * gaps[i - 1], `gaps should grow: ${gaps.join(', ')}`);
+      }
+      assert.ok(store.getHealth().consecutiveFailures >= 3);
+      assert.equal(app.computeConnectionState(store.getHealth()), 'offline');
+
+      failing = false;
+      const recovered = times.length;
+      await waitFor(() => times.length >= recovered + 3, 5000);
+      // The first success resets the delay to the polling interval
+      const last = times.length - 1;
+      assert.ok(times[last] - times[last - 1] < 100, `gap after recovery ${times[last] - times[last - 1]} ms`);
+      assert.equal(store.getHealth().consecutiveFailures, 0);
+      assert.equal(app.computeConnectionState(store.getHealth()), 'online');
+    } finally {
+      store.stop();
+    }
+  });
+
+  it('stops polling when stopped', async () => {
+    let count = 0;
+    handler = (u) => {
+      count++;
+      return Promise.resolve(okResponse(u));
+    };
+    const store = app.createTelemetryStore('polling', PROBE_NODE);
+    store.setPollInterval(10);
+    store.start();
+    await sleep(100);
+    store.stop();
+    const stoppedAt = count;
+    await sleep(100);
+    assert.ok(stoppedAt > 0);
+    assert.equal(count, stoppedAt);
+  });
+
+  it('aborts requests that take longer than the timeout', async () => {
+    handler = (u, options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    });
+    await assert.rejects(app.fetchWithTimeout(`/api/status?node=${PROBE_NODE}`, {}, 50), /timed out/);
+  });
+
+  it('judges the connection from failures and the age of the last success', () => {
+    const now = 100000;
+    assert.equal(app.computeConnectionState({ lastSuccess: now - 100, consecutiveFailures: 0 }, now), 'online');
+    assert.equal(app.computeConnectionState({ lastSuccess: now - 100, consecutiveFailures: 1 }, now), 'degraded');
+    assert.equal(app.computeConnectionState({ lastSuccess: now - 5000, consecutiveFailures: 0 }, now), 'degraded');
+    assert.equal(app.computeConnectionState({ lastSuccess: now - 60000, consecutiveFailures: 0 }, now), 'offline');
+    assert.equal(app.computeConnectionState({ lastSuccess: null, consecutiveFailures: 3 }, now), 'offline');
+  });
+});